@@ -0,0 +1,85 @@
+// adapter.js
+// Socket.IO adapters: how io.to(room) reaches sockets connected to other server instances.
+// SOCKET_ADAPTER picks one: memory (default, a single process), sqlite (instances sharing DB_FILE)
+// or redis (REDIS_URL; needs the redis and @socket.io/redis-adapter packages). Whichever is picked,
+// the instances still share DB_FILE and UPLOAD_DIR, so they all have to run on one host (see db.js)
+const { ClusterAdapterWithHeartbeat } = require('socket.io-adapter');
+const { stmt } = require('./db');
+
+const ADAPTER_POLL_MS = 100;
+const ADAPTER_MESSAGE_TTL_MS = 60 * 1000; // every instance has read a message long before this
+const ADAPTER_CLEANUP_MS = 30 * 1000;
+
+/* --------------------------
+   SQLite
+   -------------------------- */
+
+// messages go through the adapter_messages table as JSON, so broadcast payloads cannot carry binary
+class SqliteAdapter extends ClusterAdapterWithHeartbeat {
+  constructor(nsp, opts) {
+    super(nsp, opts);
+    this.lastId = stmt.getLastAdapterMessageId.get().id; // only what is published from now on
+    this.pollTimer = setInterval(() => this.poll(), ADAPTER_POLL_MS);
+    this.pollTimer.unref();
+    this.cleanupTimer = setInterval(() => this.cleanUp(), ADAPTER_CLEANUP_MS);
+    this.cleanupTimer.unref();
+  }
+
+  doPublish(message) {
+    const { lastInsertRowid } = stmt.insertAdapterMessage.run(this.uid, null, JSON.stringify(message), Date.now());
+    return Promise.resolve(String(lastInsertRowid));
+  }
+
+  doPublishResponse(requesterUid, response) {
+    stmt.insertAdapterMessage.run(this.uid, requesterUid, JSON.stringify(response), Date.now());
+    return Promise.resolve();
+  }
+
+  poll() {
+    stmt.getAdapterMessagesAfter.all(this.lastId).forEach(row => {
+      this.lastId = row.id;
+      if (row.senderId === this.uid) return;
+      if (!row.targetId) this.onMessage(JSON.parse(row.payload), String(row.id));
+      else if (row.targetId === this.uid) this.onResponse(JSON.parse(row.payload));
+    });
+  }
+
+  // every instance runs this timer; whichever claims a cleanup period first deletes, the rest skip it
+  cleanUp() {
+    const now = Date.now();
+    if (!stmt.claimAdapterCleanup.run({ now, due: now - ADAPTER_CLEANUP_MS }).changes) return;
+    stmt.deleteAdapterMessagesBefore.run(now - ADAPTER_MESSAGE_TTL_MS);
+  }
+
+  close() {
+    clearInterval(this.pollTimer);
+    clearInterval(this.cleanupTimer);
+    return super.close();
+  }
+}
+
+/* --------------------------
+   Setup
+   -------------------------- */
+
+const ADAPTERS = {
+  memory: async () => null, // Socket.IO's own in-memory adapter
+  sqlite: async () => function (nsp) { return new SqliteAdapter(nsp, {}); }, // io.adapter() calls it with new
+  redis: async () => {
+    const { createClient } = require('redis');
+    const { createAdapter } = require('@socket.io/redis-adapter');
+    const pubClient = createClient({ url: process.env.REDIS_URL });
+    const subClient = pubClient.duplicate();
+    await Promise.all([pubClient.connect(), subClient.connect()]);
+    return createAdapter(pubClient, subClient);
+  }
+};
+
+async function setupAdapter(io, name = process.env.SOCKET_ADAPTER || 'memory') {
+  if (!Object.hasOwn(ADAPTERS, name)) throw new Error(`Unknown SOCKET_ADAPTER "${name}", expected one of: ${Object.keys(ADAPTERS).join(', ')}`);
+  const adapter = await ADAPTERS[name]();
+  if (adapter) io.adapter(adapter);
+  return name;
+}
+
+module.exports = { setupAdapter };
@@ -0,0 +1,466 @@
+// admin.js
+// server administration from the command line; run next to server.js: node admin.js help
+// works on the same database as the server, which picks up every action from the audit log
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const {
+  db,
+  stmt,
+  UPLOAD_DIR,
+  PARTIAL_UPLOAD_DIR,
+  BCRYPT_ROUNDS,
+  PASSWORD_POLICY,
+  USER_ROLES,
+  checkPassword,
+  removeUploadFile,
+  deleteMessagesWithAttachments,
+  tombstoneMessages
+} = require('./db');
+
+const ACTOR = process.env.ADMIN_ACTOR || os.userInfo().username; // who is recorded in the audit log
+const DEFAULT_LIMIT = 50;
+// checkPassword codes as the server's clients word them
+const PASSWORD_PROBLEMS = {
+  password_required: () => 'Enter a password',
+  password_too_short: ({ min }) => `The password must be at least ${min} characters long`,
+  password_too_long: ({ max }) => `The password must be at most ${max} bytes long`,
+  password_needs_letter: () => 'The password must contain a letter',
+  password_needs_digit: () => 'The password must contain a digit'
+};
+
+const USAGE = `Usage: node admin.js <command> [options]
+
+  users list [--banned] [--limit N]
+  users show <user>
+  users ban <user> [reason...]
+  users unban <user>
+  users role <user> <${USER_ROLES.join('|')}>
+  users delete <user> [--with-messages]
+  users reset-password <user> [password]
+  chats list [--user <user>] [--limit N]
+  chats show <chatId>
+  chats delete <chatId>
+  messages list <chatId> [--user <user>] [--limit N]
+  messages delete <messageId>
+  stats
+  audit [--limit N]
+
+<user> is a username or a user id. Set ADMIN_ACTOR to change the name written to the audit log.`;
+
+/* --------------------------
+   Queries used only here
+   -------------------------- */
+const q = {
+  listUsers: db.prepare(`
+    SELECT u.id, u.username, u.role, u.createdAt, u.lastSeen, u.bannedAt,
+      EXISTS (SELECT 1 FROM bots b WHERE b.userId = u.id) AS bot,
+      (SELECT COUNT(1) FROM messages m WHERE m.senderId = u.id AND m.deletedAt IS NULL) AS messages
+    FROM users u
+    WHERE (@banned = 0 OR u.bannedAt IS NOT NULL)
+    ORDER BY u.createdAt DESC
+    LIMIT @limit
+  `),
+  getChatIdsOfUser: db.prepare('SELECT chatId FROM chat_members WHERE userId = ?'),
+  getMessageIdsOfUser: db.prepare('SELECT id FROM messages WHERE senderId = ? AND deletedAt IS NULL'),
+  getUploadSessionIdsOfUser: db.prepare('SELECT id FROM upload_sessions WHERE uploaderId = ?'),
+  getUnsentAttachmentsOfUser: db.prepare('SELECT * FROM attachments WHERE uploaderId = ? AND messageId IS NULL'),
+  deleteBlocksOfUser: db.prepare('DELETE FROM blocks WHERE blockerId = ? OR blockedId = ?'),
+  deleteReactionsOfUser: db.prepare('DELETE FROM reactions WHERE userId = ?'),
+
+  listChats: db.prepare(`
+    SELECT c.id, c.type, c.name, c.createdAt,
+      (SELECT COUNT(1) FROM chat_members m WHERE m.chatId = c.id) AS members,
+      (SELECT COUNT(1) FROM messages msg WHERE msg.chatId = c.id) AS messages,
+      (SELECT MAX(msg.timestamp) FROM messages msg WHERE msg.chatId = c.id) AS lastMessageAt
+    FROM chats c
+    WHERE (@userId IS NULL OR c.id IN (SELECT chatId FROM chat_members WHERE userId = @userId))
+    ORDER BY c.createdAt DESC
+    LIMIT @limit
+  `),
+  getMessageIdsOfChat: db.prepare('SELECT id FROM messages WHERE chatId = ?'),
+  deleteMembersOfChat: db.prepare('DELETE FROM chat_members WHERE chatId = ?'),
+  deleteInvitesOfChat: db.prepare('DELETE FROM invites WHERE chatId = ?'),
+  deleteChat: db.prepare('DELETE FROM chats WHERE id = ?'),
+
+  listMessages: db.prepare(`
+    SELECT id, senderName, text, timestamp, editedAt, deletedAt,
+      (SELECT COUNT(1) FROM attachments a WHERE a.messageId = m.id) AS attachments
+    FROM messages m
+    WHERE chatId = @chatId AND (@userId IS NULL OR senderId = @userId)
+    ORDER BY timestamp DESC, id DESC
+    LIMIT @limit
+  `),
+
+  countUsers: db.prepare('SELECT COUNT(1) AS total, COUNT(bannedAt) AS banned FROM users'),
+  countChats: db.prepare("SELECT COUNT(1) AS total, COALESCE(SUM(type = 'group'), 0) AS groups FROM chats"),
+  countMessages: db.prepare('SELECT COUNT(1) AS total, COUNT(deletedAt) AS deleted FROM messages'),
+  countAttachments: db.prepare('SELECT COUNT(1) AS files, COALESCE(SUM(size), 0) AS bytes, COUNT(1) - COUNT(messageId) AS unsent FROM attachments'),
+  countSessions: db.prepare('SELECT COUNT(1) AS total FROM sessions WHERE expiresAt >= ?'),
+  countUploadSessions: db.prepare('SELECT COUNT(1) AS total, COALESCE(SUM(size), 0) AS bytes FROM upload_sessions')
+};
+
+/* --------------------------
+   Helpers
+   -------------------------- */
+class UsageError extends Error {}
+
+function fail(message) {
+  throw new UsageError(message);
+}
+
+// splits argv into positionals and --flags; a flag takes the next word as its value when it expects one
+function parseArgs(argv, valueFlags = []) {
+  const args = [];
+  const flags = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      args.push(arg);
+      continue;
+    }
+    const name = arg.slice(2);
+    if (!valueFlags.includes(name)) {
+      flags[name] = true;
+      continue;
+    }
+    if (i + 1 >= argv.length) fail(`--${name} needs a value`);
+    flags[name] = argv[++i];
+  }
+  return { args, flags };
+}
+
+function parseLimit(value) {
+  if (value === undefined) return DEFAULT_LIMIT;
+  const limit = Number(value);
+  if (!Number.isInteger(limit) || limit < 1) fail('--limit must be a positive integer');
+  return limit;
+}
+
+function findUser(ref) {
+  if (!ref) fail('A username or user id is required');
+  const user = stmt.getUserById.get(ref) || stmt.getUserByName.get(ref);
+  if (!user) fail(`No such user: ${ref}`);
+  return user;
+}
+
+function findChat(id) {
+  if (!id) fail('A chat id is required');
+  const chat = stmt.getChatById.get(id);
+  if (!chat) fail(`No such chat: ${id}`);
+  return chat;
+}
+
+function audit(action, targetType, targetId, details = null) {
+  stmt.insertAuditEntry.run({
+    actor: ACTOR,
+    action,
+    targetType,
+    targetId,
+    details: details && JSON.stringify(details),
+    createdAt: new Date().toISOString()
+  });
+}
+
+function formatBytes(bytes) {
+  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  let i = 0;
+  while (bytes >= 1024 && i < units.length - 1) {
+    bytes /= 1024;
+    i++;
+  }
+  return `${i ? bytes.toFixed(1) : bytes} ${units[i]}`;
+}
+
+function printTable(rows, columns) {
+  if (!rows.length) {
+    console.log('(none)');
+    return;
+  }
+  const cell = v => (v === null || v === undefined ? '-' : String(v).replace(/\s+/g, ' '));
+  const widths = columns.map(c => Math.max(c.length, ...rows.map(r => cell(r[c]).length)));
+  const line = values => values.map((v, i) => v.padEnd(widths[i])).join('  ').trimEnd();
+  console.log(line(columns));
+  rows.forEach(r => console.log(line(columns.map(c => cell(r[c])))));
+}
+
+function printRecord(record) {
+  const width = Math.max(...Object.keys(record).map(k => k.length));
+  Object.entries(record).forEach(([k, v]) => console.log(`${k.padEnd(width)}  ${v === null || v === undefined ? '-' : v}`));
+}
+
+function truncate(text, max) {
+  if (!text) return '';
+  return text.length > max ? `${text.slice(0, max - 1)}…` : text;
+}
+
+// total size of the files directly inside a directory
+function directorySize(dir) {
+  if (!fs.existsSync(dir)) return { files: 0, bytes: 0 };
+  return fs.readdirSync(dir, { withFileTypes: true })
+    .filter(e => e.isFile())
+    .reduce((acc, e) => {
+      acc.files++;
+      acc.bytes += fs.statSync(path.join(dir, e.name)).size;
+      return acc;
+    }, { files: 0, bytes: 0 });
+}
+
+/* --------------------------
+   Users
+   -------------------------- */
+function listUsers(argv) {
+  const { flags } = parseArgs(argv, ['limit']);
+  const rows = q.listUsers.all({ banned: flags.banned ? 1 : 0, limit: parseLimit(flags.limit) });
+  printTable(rows.map(u => ({ ...u, status: u.bannedAt ? 'banned' : 'active', role: u.bot ? 'bot' : u.role })), ['id', 'username', 'role', 'status', 'messages', 'createdAt', 'lastSeen']);
+}
+
+function showUser([ref]) {
+  const user = findUser(ref);
+  const usage = stmt.getStorageUsage.get(user.id);
+  printRecord({
+    id: user.id,
+    username: user.username,
+    createdAt: user.createdAt,
+    lastSeen: user.lastSeen,
+    role: user.role,
+    privacy: user.privacy,
+    bannedAt: user.bannedAt,
+    banReason: user.banReason,
+    chats: q.getChatIdsOfUser.all(user.id).length,
+    messages: q.getMessageIdsOfUser.all(user.id).length,
+    storage: `${formatBytes(usage.used)} in ${usage.files} files`
+  });
+}
+
+function banUser([ref, ...reasonWords]) {
+  const user = findUser(ref);
+  if (user.bannedAt) fail(`${user.username} is already banned`);
+  const reason = reasonWords.join(' ').trim() || null;
+  const now = new Date().toISOString();
+  db.transaction(() => {
+    stmt.banUser.run(now, reason, now, user.id);
+    stmt.deleteSessionsOfUser.run(user.id);
+    audit('user.ban', 'user', user.id, { username: user.username, reason });
+  })();
+  console.log(`Banned ${user.username}`);
+}
+
+function unbanUser([ref]) {
+  const user = findUser(ref);
+  if (!user.bannedAt) fail(`${user.username} is not banned`);
+  db.transaction(() => {
+    stmt.unbanUser.run(new Date().toISOString(), user.id);
+    audit('user.unban', 'user', user.id, { username: user.username });
+  })();
+  console.log(`Unbanned ${user.username}`);
+}
+
+function setRole([ref, role]) {
+  const user = findUser(ref);
+  if (!USER_ROLES.includes(role)) fail(`The role must be one of: ${USER_ROLES.join(', ')}`);
+  if (user.role === role) fail(`${user.username} already has the role ${role}`);
+  db.transaction(() => {
+    stmt.updateUserRole.run(role, new Date().toISOString(), user.id);
+    audit('user.role', 'user', user.id, { username: user.username, role, previous: user.role });
+  })();
+  console.log(`${user.username} is now ${role}`);
+}
+
+// the account goes with its sessions, memberships, reactions, blocks and unsent uploads;
+// messages stay under the sender name they were written with unless --with-messages tombstones them
+function deleteUser(argv) {
+  const { args: [ref], flags } = parseArgs(argv);
+  const user = findUser(ref);
+  // the user's bots go too, their API tokens with them; like their owner's, their messages stay
+  const bots = stmt.getBotsOfOwner.all(user.id);
+  const chatIds = [...new Set([user, ...bots].flatMap(u => q.getChatIdsOfUser.all(u.id).map(r => r.chatId)))];
+  const messageIds = flags['with-messages'] ? q.getMessageIdsOfUser.all(user.id).map(r => r.id) : [];
+  const uploadIds = q.getUploadSessionIdsOfUser.all(user.id).map(r => r.id);
+  const unsent = q.getUnsentAttachmentsOfUser.all(user.id);
+
+  db.transaction(() => {
+    tombstoneMessages(messageIds);
+    unsent.forEach(a => stmt.deleteAttachmentById.run(a.id));
+    uploadIds.forEach(id => {
+      stmt.deleteUploadChunks.run(id);
+      stmt.deleteUploadSession.run(id);
+    });
+    stmt.deleteSessionsOfUser.run(user.id);
+    stmt.deleteMembershipsOfUser.run(user.id);
+    q.deleteBlocksOfUser.run(user.id, user.id);
+    q.deleteReactionsOfUser.run(user.id);
+    bots.forEach(bot => {
+      stmt.deleteMembershipsOfUser.run(bot.id);
+      stmt.deleteBot.run(bot.id);
+      stmt.deleteUser.run(bot.id);
+    });
+    stmt.deleteBot.run(user.id);
+    stmt.deleteUser.run(user.id);
+    stmt.promoteOwnerlessGroups.run();
+    audit('user.delete', 'user', user.id, {
+      username: user.username,
+      chatIds,
+      messagesDeleted: messageIds.length,
+      bots: bots.map(b => b.username)
+    });
+  })();
+
+  unsent.forEach(removeUploadFile);
+  uploadIds.forEach(id => fs.rm(path.join(PARTIAL_UPLOAD_DIR, id), { force: true }, () => {}));
+  console.log(`Deleted ${user.username}${messageIds.length ? ` and ${messageIds.length} messages` : ''}`);
+  if (bots.length) console.log(`Deleted their bots: ${bots.map(b => b.username).join(', ')}`);
+}
+
+function resetPassword([ref, password]) {
+  const user = findUser(ref);
+  const generated = !password;
+  if (generated) {
+    // random base64url now and then lacks a letter or a digit the policy asks for
+    do {
+      password = crypto.randomBytes(Math.ceil(Math.max(PASSWORD_POLICY.minLength, 16) * 3 / 4)).toString('base64url');
+    } while (checkPassword(password));
+  }
+  const problem = checkPassword(password);
+  if (problem) fail(PASSWORD_PROBLEMS[problem.code](problem.params));
+
+  db.transaction(() => {
+    stmt.updateUserPassword.run(bcrypt.hashSync(password, BCRYPT_ROUNDS), new Date().toISOString(), user.id);
+    stmt.deleteSessionsOfUser.run(user.id);
+    audit('user.reset_password', 'user', user.id, { username: user.username });
+  })();
+  console.log(generated ? `New password for ${user.username}: ${password}` : `Password of ${user.username} changed`);
+}
+
+/* --------------------------
+   Chats and messages
+   -------------------------- */
+function listChats(argv) {
+  const { flags } = parseArgs(argv, ['user', 'limit']);
+  const userId = flags.user ? findUser(flags.user).id : null;
+  const rows = q.listChats.all({ userId, limit: parseLimit(flags.limit) });
+  printTable(rows, ['id', 'type', 'name', 'members', 'messages', 'createdAt', 'lastMessageAt']);
+}
+
+function showChat([id]) {
+  const chat = findChat(id);
+  printRecord({
+    id: chat.id,
+    type: chat.type,
+    name: chat.name,
+    createdAt: chat.createdAt,
+    retention: chat.retentionMode === 'forever' ? 'forever' : `${chat.retentionMode} ${chat.retentionValue}`,
+    messages: q.getMessageIdsOfChat.all(chat.id).length
+  });
+  console.log('');
+  printTable(stmt.getChatMembers.all(chat.id), ['id', 'username', 'role', 'lastSeen']);
+}
+
+function deleteChat([id]) {
+  const chat = findChat(id);
+  const memberIds = stmt.getChatMembers.all(chat.id).map(m => m.id);
+  const messageIds = q.getMessageIdsOfChat.all(chat.id).map(r => r.id);
+
+  db.transaction(() => {
+    deleteMessagesWithAttachments(messageIds);
+    stmt.getWebhooksOfChat.all(chat.id).forEach(w => {
+      stmt.deleteDeliveriesOfWebhook.run(w.id);
+      stmt.deleteWebhook.run(w.id);
+    });
+    q.deleteMembersOfChat.run(chat.id);
+    q.deleteInvitesOfChat.run(chat.id);
+    q.deleteChat.run(chat.id);
+    audit('chat.delete', 'chat', chat.id, { name: chat.name, type: chat.type, memberIds, messagesDeleted: messageIds.length });
+  })();
+  console.log(`Deleted chat ${chat.id} with ${messageIds.length} messages`);
+}
+
+function listMessages(argv) {
+  const { args: [chatId], flags } = parseArgs(argv, ['user', 'limit']);
+  const chat = findChat(chatId);
+  const userId = flags.user ? findUser(flags.user).id : null;
+  const rows = q.listMessages.all({ chatId: chat.id, userId, limit: parseLimit(flags.limit) });
+  printTable(rows.map(m => ({ ...m, text: m.deletedAt ? '(deleted)' : truncate(m.text, 60) })), ['id', 'timestamp', 'senderName', 'attachments', 'text']);
+}
+
+// same tombstone a sender leaves when deleting their own message
+function deleteMessage([id]) {
+  if (!id) fail('A message id is required');
+  const msg = stmt.getMessageById.get(id);
+  if (!msg) fail(`No such message: ${id}`);
+  if (msg.deletedAt) fail('The message is already deleted');
+
+  db.transaction(() => {
+    tombstoneMessages([msg.id]);
+    audit('message.delete', 'message', msg.id, { chatId: msg.chatId, senderId: msg.senderId });
+  })();
+  console.log(`Deleted message ${msg.id}`);
+}
+
+/* --------------------------
+   Stats and audit log
+   -------------------------- */
+function printStats() {
+  const users = q.countUsers.get();
+  const chats = q.countChats.get();
+  const messages = q.countMessages.get();
+  const attachments = q.countAttachments.get();
+  const uploads = q.countUploadSessions.get();
+  const disk = directorySize(UPLOAD_DIR);
+  const partial = directorySize(PARTIAL_UPLOAD_DIR);
+  const dbFiles = ['', '-wal', '-shm'].map(s => db.name + s).filter(f => fs.existsSync(f));
+
+  printRecord({
+    users: `${users.total} (${users.banned} banned)`,
+    sessions: q.countSessions.get(new Date().toISOString()).total,
+    chats: `${chats.total} (${chats.groups} groups)`,
+    messages: `${messages.total} (${messages.deleted} deleted)`,
+    attachments: `${attachments.files} (${formatBytes(attachments.bytes)}, ${attachments.unsent} unsent)`,
+    'resumable uploads': `${uploads.total} (${formatBytes(uploads.bytes)} reserved)`,
+    'uploads on disk': `${disk.files} files, ${formatBytes(disk.bytes + partial.bytes)}`,
+    database: formatBytes(dbFiles.reduce((sum, f) => sum + fs.statSync(f).size, 0))
+  });
+
+  console.log('\nTop storage users');
+  printTable(stmt.getTopStorageUsers.all(10).map(u => ({ ...u, used: formatBytes(u.used) })), ['username', 'files', 'used']);
+}
+
+function printAudit(argv) {
+  const { flags } = parseArgs(argv, ['limit']);
+  const rows = stmt.getAuditLog.all(parseLimit(flags.limit));
+  printTable(rows.reverse(), ['id', 'createdAt', 'actor', 'action', 'targetId', 'details']);
+}
+
+/* --------------------------
+   Entry point
+   -------------------------- */
+const COMMANDS = {
+  users: { list: listUsers, show: showUser, ban: banUser, unban: unbanUser, role: setRole, delete: deleteUser, 'reset-password': resetPassword },
+  chats: { list: listChats, show: showChat, delete: deleteChat },
+  messages: { list: listMessages, delete: deleteMessage },
+  stats: printStats,
+  audit: printAudit
+};
+
+function main(argv) {
+  const [group, ...rest] = argv;
+  let command = COMMANDS[group];
+  if (!group || group === 'help' || group === '--help') {
+    console.log(USAGE);
+    return;
+  }
+  if (command && typeof command !== 'function') command = command[rest.shift()];
+  if (!command) fail(`Unknown command: ${argv.join(' ')}\n\n${USAGE}`);
+  command(rest);
+}
+
+try {
+  main(process.argv.slice(2));
+} catch (e) {
+  console.error(e instanceof UsageError ? e.message : `Error: ${e.message}`);
+  process.exitCode = 1;
+} finally {
+  db.close();
+}
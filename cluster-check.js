@@ -0,0 +1,188 @@
+// cluster-check.js
+// starts two server instances on one throwaway database and upload dir and checks that they behave
+// as one chat: node cluster-check.js (SOCKET_ADAPTER=redis REDIS_URL=... to check another adapter).
+// The instances trust loopback as their load balancer, so clients are told apart by X-Forwarded-For.
+// Both run on this machine, the only setup the shared SQLite file supports (see db.js); the last
+// check registers a fake instance of another host and expects a third instance to refuse to start.
+// Needs socket.io-client next to the server's own dependencies
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const { io } = require('socket.io-client');
+
+const PORTS = [Number(process.env.CLUSTER_PORT) || 3101, (Number(process.env.CLUSTER_PORT) || 3101) + 1];
+const ADAPTER = process.env.SOCKET_ADAPTER || 'sqlite';
+const START_TIMEOUT_MS = 15 * 1000;
+const EVENT_TIMEOUT_MS = 5000;
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'chat-cluster-'));
+const instances = [];
+
+function startInstance(port) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [path.join(__dirname, 'server.js')], {
+      cwd: __dirname,
+      env: {
+        ...process.env,
+        PORT: String(port),
+        SOCKET_ADAPTER: ADAPTER,
+        TRUST_PROXY: 'loopback',
+        DB_FILE: path.join(dataDir, 'db.sqlite'),
+        UPLOAD_DIR: path.join(dataDir, 'uploads')
+      },
+      stdio: ['ignore', 'pipe', 'inherit']
+    });
+    instances.push(child);
+    const timer = setTimeout(() => reject(new Error(`instance on port ${port} did not start`)), START_TIMEOUT_MS);
+    child.stdout.on('data', chunk => {
+      if (!chunk.toString().includes('Server started')) return;
+      clearTimeout(timer);
+      resolve();
+    });
+    child.on('exit', code => {
+      clearTimeout(timer);
+      reject(new Error(`instance on port ${port} exited with ${code}`));
+    });
+  });
+}
+
+// the next `event` whose data passes `test`
+function once(socket, event, test = () => true) {
+  return new Promise((resolve, reject) => {
+    const listener = data => {
+      if (!test(data)) return;
+      clearTimeout(timer);
+      socket.off(event, listener);
+      resolve(data);
+    };
+    const timer = setTimeout(() => {
+      socket.off(event, listener);
+      reject(new Error(`no matching "${event}" within ${EVENT_TIMEOUT_MS} ms`));
+    }, EVENT_TIMEOUT_MS);
+    socket.on(event, listener);
+  });
+}
+
+// `ip` poses as the client address a load balancer would forward
+function connect(port, ip = '203.0.113.10') {
+  const socket = io(`http://localhost:${port}`, { transports: ['websocket'], forceNew: true, extraHeaders: { 'X-Forwarded-For': ip } });
+  return once(socket, 'connect').then(() => socket);
+}
+
+async function register(port, username) {
+  const socket = await connect(port);
+  socket.emit('register', { username, password: 'cluster-check-1' });
+  socket.user = await once(socket, 'login_success');
+  return socket;
+}
+
+async function check(name, run) {
+  try {
+    await run();
+    console.log(`ok    ${name}`);
+    return true;
+  } catch (e) {
+    console.log(`FAIL  ${name}: ${e.message}`);
+    return false;
+  }
+}
+
+async function main() {
+  // the second instance starts once the first has created the schema
+  await startInstance(PORTS[0]);
+  await startInstance(PORTS[1]);
+  console.log(`two instances on ports ${PORTS.join(' and ')}, ${ADAPTER} adapter, data in ${dataDir}`);
+
+  const alice = await register(PORTS[0], 'alice');
+  const bob = await register(PORTS[1], 'bob');
+  let chatId = null;
+  const results = [];
+
+  results.push(await check('a chat created on one instance shows up in the list on the other', async () => {
+    const bobLists = [];
+    bob.on('update_chat_list', chats => bobLists.push(chats));
+    alice.emit('create_chat', { partnerId: bob.user.userId });
+    chatId = (await once(alice, 'open_chat_force')).id;
+    await new Promise(resolve => setTimeout(resolve, 1000));
+    if (!bobLists.some(chats => chats.some(c => c.id === chatId))) throw new Error('chat missing from the list');
+  }));
+
+  results.push(await check('a message sent on one instance is delivered on the other', async () => {
+    alice.emit('join_chat', chatId);
+    bob.emit('join_chat', chatId);
+    await Promise.all([once(alice, 'chat_history'), once(bob, 'chat_history')]);
+    const delivered = once(bob, 'new_message');
+    alice.emit('send_message', { chatId, text: 'hello across instances' });
+    const msg = await delivered;
+    if (msg.text !== 'hello across instances') throw new Error(`got "${msg.text}"`);
+  }));
+
+  results.push(await check('typing is relayed across instances', async () => {
+    const typing = once(alice, 'typing');
+    bob.emit('typing_start', { chatId });
+    if (!(await typing).typing) throw new Error('typing flag not set');
+  }));
+
+  results.push(await check('presence follows a user logged in on the other instance', async () => {
+    const history = once(alice, 'chat_history');
+    alice.emit('join_chat', chatId);
+    const bobMember = (await history).members.find(m => m.id === bob.user.userId);
+    if (!bobMember || !bobMember.online) throw new Error('bob is not shown online');
+    const offline = once(alice, 'presence_changed', p => p.userId === bob.user.userId && !p.online);
+    bob.disconnect();
+    await offline;
+  }));
+
+  results.push(await check('failed logins lock the forwarded client address, not the proxy', async () => {
+    const attacker = await connect(PORTS[0], '198.51.100.1');
+    let error;
+    do {
+      const next = once(attacker, 'error');
+      attacker.emit('login', { username: 'alice', password: 'wrong-password-1' });
+      error = await next;
+    } while (error.code === 'wrong_password');
+    if (error.code !== 'too_many_attempts') throw new Error(`expected a lock, got ${error.code}`);
+    attacker.disconnect();
+
+    const res = await fetch(`http://localhost:${PORTS[0]}/api/v1/sessions`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-Forwarded-For': '198.51.100.1' },
+      body: JSON.stringify({ username: 'alice', password: 'cluster-check-1' })
+    });
+    if (res.status !== 429) throw new Error(`REST login from the locked address answered ${res.status}`);
+
+    const other = await connect(PORTS[0], '198.51.100.2');
+    const answer = once(other, 'login_success');
+    other.emit('login', { username: 'alice', password: 'cluster-check-1' });
+    await answer;
+    other.disconnect();
+  }));
+
+  results.push(await check('an instance refuses to start next to one on another host', async () => {
+    const Database = require('better-sqlite3');
+    const db = new Database(path.join(dataDir, 'db.sqlite'));
+    db.prepare('INSERT INTO instances (id, hostId, heartbeatAt) VALUES (?, ?, ?)')
+      .run('cluster-check-remote', 'another-host', new Date().toISOString());
+    db.close();
+    const started = await startInstance(PORTS[1] + 1).then(() => true, () => false);
+    if (started) throw new Error('the instance started');
+  }));
+
+  alice.disconnect();
+  return results.every(Boolean);
+}
+
+main()
+  .then(passed => {
+    console.log(passed ? 'all checks passed' : 'some checks failed');
+    process.exitCode = passed ? 0 : 1;
+  })
+  .catch(err => {
+    console.error(err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => {
+    instances.forEach(child => child.kill());
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
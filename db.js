@@ -0,0 +1,777 @@
+// db.js
+// schema, migrations and prepared statements; shared by server.js and the admin CLI (admin.js)
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+/* --------------------------
+   Config
+   -------------------------- */
+// storage is local to one host: SQLite in WAL mode keeps its locks in shared memory next to DB_FILE, so
+// several server instances can share the database and uploads only as processes (or containers) on one
+// machine. Instances on other hosts behind a load balancer are refused, see assertLocalStorage and HOST_ID
+const UPLOAD_DIR = process.env.UPLOAD_DIR || path.join(__dirname, 'uploads');
+const PARTIAL_UPLOAD_DIR = path.join(UPLOAD_DIR, '.partial'); // dotfiles are never served by express.static
+const DB_FILE = process.env.DB_FILE || path.join(__dirname, 'db.sqlite');
+const MESSAGE_LIMIT_PER_CHAT = 2000; // политика хранения новых чатов по умолчанию: последние N сообщений
+const BCRYPT_ROUNDS = 10; // cost of stored password hashes, whoever writes them
+// password rules for registration, password changes and admin.js resets; override through env without touching code
+const PASSWORD_POLICY = {
+  minLength: Number(process.env.PASSWORD_MIN_LENGTH) || 8,
+  maxLength: 72, // bcrypt ignores everything past 72 bytes
+  requireLetter: process.env.PASSWORD_REQUIRE_LETTER !== '0',
+  requireDigit: process.env.PASSWORD_REQUIRE_DIGIT !== '0'
+};
+// server-wide roles, unrelated to roles inside a group; moderators work the report queue
+const USER_ROLES = ['user', 'moderator'];
+
+// statfs magic numbers of network filesystems, where SQLite's locking does not hold
+const NETWORK_FILESYSTEMS = {
+  0x6969: 'NFS',
+  0x517b: 'SMB',
+  0xff534d42: 'CIFS',
+  0xfe534d42: 'SMB2',
+  0x00c36400: 'CephFS',
+  0x5346414f: 'AFS'
+};
+// the same for every process and container on one machine, unlike the hostname
+const HOST_ID = (() => {
+  try {
+    return fs.readFileSync('/proc/sys/kernel/random/boot_id', 'utf8').trim();
+  } catch (e) {
+    return os.hostname();
+  }
+})();
+
+// Ensure upload dir exists
+if (!fs.existsSync(PARTIAL_UPLOAD_DIR)) fs.mkdirSync(PARTIAL_UPLOAD_DIR, { recursive: true });
+
+function assertLocalStorage(file) {
+  const type = NETWORK_FILESYSTEMS[fs.statfsSync(path.dirname(path.resolve(file))).type];
+  if (type) {
+    throw new Error(`DB_FILE ${file} is on ${type}: SQLite needs a local disk, and instances can share it only on one host`);
+  }
+}
+
+/* --------------------------
+   Database (better-sqlite3)
+   -------------------------- */
+assertLocalStorage(DB_FILE);
+const db = new Database(DB_FILE);
+// other processes (admin.js, further server instances) read and write the same file
+db.pragma('journal_mode = WAL');
+db.pragma('busy_timeout = 5000');
+
+// Create tables if not exists
+db.exec(`
+CREATE TABLE IF NOT EXISTS users (
+  id TEXT PRIMARY KEY,
+  username TEXT UNIQUE NOT NULL,
+  password TEXT NOT NULL,
+  createdAt TEXT,
+  updatedAt TEXT,
+  lastSeen TEXT,
+  privacy TEXT NOT NULL DEFAULT 'everyone',
+  bannedAt TEXT,
+  banReason TEXT,
+  role TEXT NOT NULL DEFAULT 'user'
+);
+
+CREATE TABLE IF NOT EXISTS chats (
+  id TEXT PRIMARY KEY,
+  type TEXT NOT NULL,
+  name TEXT,
+  createdAt TEXT NOT NULL,
+  retentionMode TEXT NOT NULL DEFAULT 'count',
+  retentionValue INTEGER DEFAULT ${MESSAGE_LIMIT_PER_CHAT}
+);
+
+CREATE TABLE IF NOT EXISTS chat_members (
+  id TEXT PRIMARY KEY,
+  chatId TEXT NOT NULL,
+  userId TEXT NOT NULL,
+  role TEXT NOT NULL DEFAULT 'member',
+  lastReadMessageId TEXT,
+  lastReadAt TEXT,
+  lastDeliveredAt TEXT
+);
+
+CREATE TABLE IF NOT EXISTS messages (
+  id TEXT PRIMARY KEY,
+  chatId TEXT NOT NULL,
+  senderId TEXT NOT NULL,
+  senderName TEXT NOT NULL,
+  text TEXT,
+  file TEXT,
+  timestamp TEXT NOT NULL,
+  editedAt TEXT,
+  deletedAt TEXT,
+  replyToId TEXT
+);
+
+CREATE TABLE IF NOT EXISTS message_edits (
+  id TEXT PRIMARY KEY,
+  messageId TEXT NOT NULL,
+  text TEXT,
+  editedAt TEXT NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS reactions (
+  messageId TEXT NOT NULL,
+  userId TEXT NOT NULL,
+  emoji TEXT NOT NULL,
+  createdAt TEXT NOT NULL,
+  PRIMARY KEY (messageId, userId, emoji)
+);
+
+CREATE TABLE IF NOT EXISTS invites (
+  id TEXT PRIMARY KEY,
+  chatId TEXT NOT NULL,
+  createdBy TEXT NOT NULL,
+  createdAt TEXT NOT NULL,
+  expiresAt TEXT,
+  maxUses INTEGER,
+  uses INTEGER NOT NULL DEFAULT 0,
+  revokedAt TEXT
+);
+
+CREATE TABLE IF NOT EXISTS blocks (
+  blockerId TEXT NOT NULL,
+  blockedId TEXT NOT NULL,
+  createdAt TEXT NOT NULL,
+  PRIMARY KEY (blockerId, blockedId)
+);
+
+CREATE TABLE IF NOT EXISTS sessions (
+  id TEXT PRIMARY KEY,
+  userId TEXT NOT NULL,
+  createdAt TEXT NOT NULL,
+  lastUsedAt TEXT NOT NULL,
+  expiresAt TEXT NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS settings (
+  key TEXT PRIMARY KEY,
+  value TEXT NOT NULL
+);
+
+-- bot accounts are users that post through the HTTP API; the token itself is never stored
+CREATE TABLE IF NOT EXISTS bots (
+  userId TEXT PRIMARY KEY,
+  ownerId TEXT NOT NULL,
+  tokenHash TEXT NOT NULL,
+  createdAt TEXT NOT NULL,
+  tokenCreatedAt TEXT NOT NULL,
+  lastUsedAt TEXT
+);
+
+-- outgoing webhooks of a group; every new message is queued in webhook_deliveries until the URL accepts it
+CREATE TABLE IF NOT EXISTS webhooks (
+  id TEXT PRIMARY KEY,
+  chatId TEXT NOT NULL,
+  url TEXT NOT NULL,
+  secret TEXT NOT NULL,
+  createdBy TEXT NOT NULL,
+  createdAt TEXT NOT NULL,
+  lastDeliveryAt TEXT,
+  lastStatus TEXT
+);
+
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+  id TEXT PRIMARY KEY,
+  webhookId TEXT NOT NULL,
+  payload TEXT NOT NULL,
+  attempts INTEGER NOT NULL DEFAULT 0,
+  nextAttemptAt TEXT NOT NULL,
+  createdAt TEXT NOT NULL,
+  lastError TEXT
+);
+
+-- one row per reporter and message; status is 'open' until a moderator resolves it,
+-- then the outcome: dismissed, deleted, warned or banned
+CREATE TABLE IF NOT EXISTS reports (
+  id TEXT PRIMARY KEY,
+  messageId TEXT NOT NULL,
+  chatId TEXT NOT NULL,
+  senderId TEXT NOT NULL,
+  reporterId TEXT NOT NULL,
+  reason TEXT NOT NULL,
+  comment TEXT,
+  messageText TEXT,
+  createdAt TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'open',
+  resolvedBy TEXT,
+  resolvedAt TEXT,
+  note TEXT,
+  warningSeenAt TEXT
+);
+
+CREATE TABLE IF NOT EXISTS audit_log (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  actor TEXT NOT NULL,
+  action TEXT NOT NULL,
+  targetType TEXT NOT NULL,
+  targetId TEXT,
+  details TEXT,
+  createdAt TEXT NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS upload_sessions (
+  id TEXT PRIMARY KEY,
+  uploaderId TEXT NOT NULL,
+  originalName TEXT NOT NULL,
+  mimeType TEXT NOT NULL,
+  size INTEGER NOT NULL,
+  chunkSize INTEGER NOT NULL,
+  sha256 TEXT NOT NULL,
+  createdAt TEXT NOT NULL,
+  updatedAt TEXT NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS upload_chunks (
+  uploadId TEXT NOT NULL,
+  idx INTEGER NOT NULL,
+  PRIMARY KEY (uploadId, idx)
+);
+
+CREATE TABLE IF NOT EXISTS attachments (
+  id TEXT PRIMARY KEY,
+  messageId TEXT,
+  uploaderId TEXT NOT NULL,
+  path TEXT NOT NULL,
+  originalName TEXT NOT NULL,
+  mimeType TEXT NOT NULL,
+  size INTEGER NOT NULL,
+  createdAt TEXT NOT NULL,
+  width INTEGER,
+  height INTEGER,
+  thumbPath TEXT,
+  placeholder TEXT,
+  duration REAL,
+  waveform TEXT
+);
+
+-- running server instances and their logged-in sockets; presence is "has a socket on a live instance"
+CREATE TABLE IF NOT EXISTS instances (
+  id TEXT PRIMARY KEY,
+  hostId TEXT,
+  heartbeatAt TEXT NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS connections (
+  socketId TEXT PRIMARY KEY,
+  userId TEXT NOT NULL,
+  instanceId TEXT NOT NULL
+);
+
+-- SOCKET_ADAPTER=sqlite: broadcasts and responses between instances, read by polling
+CREATE TABLE IF NOT EXISTS adapter_messages (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  senderId TEXT NOT NULL,
+  targetId TEXT,
+  payload TEXT NOT NULL,
+  createdAt INTEGER NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_messages_chat ON messages(chatId, timestamp);
+CREATE INDEX IF NOT EXISTS idx_attachments_message ON attachments(messageId);
+CREATE INDEX IF NOT EXISTS idx_attachments_uploader ON attachments(uploaderId);
+CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions(userId);
+CREATE INDEX IF NOT EXISTS idx_message_edits_message ON message_edits(messageId);
+CREATE INDEX IF NOT EXISTS idx_invites_chat ON invites(chatId);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_reports_reporter ON reports(messageId, reporterId);
+CREATE INDEX IF NOT EXISTS idx_reports_status ON reports(status, createdAt);
+CREATE INDEX IF NOT EXISTS idx_bots_owner ON bots(ownerId);
+CREATE INDEX IF NOT EXISTS idx_webhooks_chat ON webhooks(chatId);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries(nextAttemptAt);
+CREATE INDEX IF NOT EXISTS idx_connections_user ON connections(userId);
+CREATE INDEX IF NOT EXISTS idx_connections_instance ON connections(instanceId);
+`);
+
+// Columns added after the first release; older db files get them via ALTER TABLE
+function ensureColumn(table, column, definition) {
+  const exists = db.prepare(`PRAGMA table_info(${table})`).all().some(c => c.name === column);
+  if (!exists) db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+}
+
+ensureColumn('users', 'createdAt', 'TEXT');
+ensureColumn('users', 'updatedAt', 'TEXT');
+db.prepare('UPDATE users SET createdAt = @now, updatedAt = @now WHERE createdAt IS NULL').run({ now: new Date().toISOString() });
+ensureColumn('users', 'lastSeen', 'TEXT');
+ensureColumn('users', 'privacy', "TEXT NOT NULL DEFAULT 'everyone'");
+ensureColumn('users', 'bannedAt', 'TEXT');
+ensureColumn('users', 'banReason', 'TEXT');
+ensureColumn('users', 'role', "TEXT NOT NULL DEFAULT 'user'");
+ensureColumn('chats', 'retentionMode', "TEXT NOT NULL DEFAULT 'count'");
+ensureColumn('chats', 'retentionValue', `INTEGER DEFAULT ${MESSAGE_LIMIT_PER_CHAT}`);
+ensureColumn('chat_members', 'role', "TEXT NOT NULL DEFAULT 'member'");
+ensureColumn('chat_members', 'lastReadMessageId', 'TEXT');
+ensureColumn('chat_members', 'lastReadAt', 'TEXT');
+ensureColumn('chat_members', 'lastDeliveredAt', 'TEXT');
+db.prepare('UPDATE chat_members SET lastReadAt = ? WHERE lastReadAt IS NULL').run(new Date().toISOString());
+ensureColumn('messages', 'editedAt', 'TEXT');
+ensureColumn('messages', 'deletedAt', 'TEXT');
+ensureColumn('messages', 'replyToId', 'TEXT');
+ensureColumn('attachments', 'width', 'INTEGER');
+ensureColumn('attachments', 'height', 'INTEGER');
+ensureColumn('attachments', 'thumbPath', 'TEXT');
+ensureColumn('attachments', 'placeholder', 'TEXT');
+ensureColumn('attachments', 'duration', 'REAL');
+ensureColumn('attachments', 'waveform', 'TEXT');
+ensureColumn('instances', 'hostId', 'TEXT');
+db.exec('CREATE INDEX IF NOT EXISTS idx_messages_reply ON messages(replyToId)');
+
+// full-text index over message text, keyed on messages.rowid and kept in sync by triggers;
+// edits and tombstones go through the update trigger, retention deletes through the delete one
+const hadSearchIndex = !!db.prepare("SELECT 1 FROM sqlite_master WHERE name = 'messages_fts'").get();
+db.exec(`
+CREATE VIRTUAL TABLE IF NOT EXISTS messages_fts USING fts5(
+  text, content = 'messages', content_rowid = 'rowid', tokenize = 'unicode61 remove_diacritics 2'
+);
+CREATE TRIGGER IF NOT EXISTS messages_fts_insert AFTER INSERT ON messages BEGIN
+  INSERT INTO messages_fts (rowid, text) VALUES (new.rowid, new.text);
+END;
+CREATE TRIGGER IF NOT EXISTS messages_fts_delete AFTER DELETE ON messages BEGIN
+  INSERT INTO messages_fts (messages_fts, rowid, text) VALUES ('delete', old.rowid, old.text);
+END;
+CREATE TRIGGER IF NOT EXISTS messages_fts_update AFTER UPDATE OF text ON messages BEGIN
+  INSERT INTO messages_fts (messages_fts, rowid, text) VALUES ('delete', old.rowid, old.text);
+  INSERT INTO messages_fts (rowid, text) VALUES (new.rowid, new.text);
+END;
+`);
+// history written before the index existed is indexed once
+if (!hadSearchIndex) db.exec("INSERT INTO messages_fts (messages_fts) VALUES ('rebuild')");
+
+// Prepared statements
+const stmt = {
+  // users
+  getUserByName: db.prepare('SELECT * FROM users WHERE username = ?'),
+  getUserById: db.prepare('SELECT * FROM users WHERE id = ?'),
+  insertUser: db.prepare('INSERT INTO users (id, username, password, createdAt, updatedAt) VALUES (?, ?, ?, ?, ?)'),
+  updateUserPassword: db.prepare('UPDATE users SET password = ?, updatedAt = ? WHERE id = ?'),
+  updateLastSeen: db.prepare('UPDATE users SET lastSeen = ? WHERE id = ?'),
+  updateUserPrivacy: db.prepare('UPDATE users SET privacy = ?, updatedAt = ? WHERE id = ?'),
+  banUser: db.prepare('UPDATE users SET bannedAt = ?, banReason = ?, updatedAt = ? WHERE id = ?'),
+  unbanUser: db.prepare('UPDATE users SET bannedAt = NULL, banReason = NULL, updatedAt = ? WHERE id = ?'),
+  updateUserRole: db.prepare('UPDATE users SET role = ?, updatedAt = ? WHERE id = ?'),
+  // everyone who shares at least one chat with the user
+  getContactsOfUser: db.prepare(`
+    SELECT DISTINCT m2.userId FROM chat_members m1
+    JOIN chat_members m2 ON m2.chatId = m1.chatId
+    WHERE m1.userId = ? AND m2.userId <> m1.userId
+  `),
+
+  // at least one group with both users in it
+  shareGroup: db.prepare(`
+    SELECT 1 FROM chat_members m1
+    JOIN chat_members m2 ON m2.chatId = m1.chatId
+    JOIN chats c ON c.id = m1.chatId
+    WHERE m1.userId = ? AND m2.userId = ? AND c.type = 'group'
+    LIMIT 1
+  `),
+
+  // blocks
+  insertBlock: db.prepare('INSERT OR IGNORE INTO blocks (blockerId, blockedId, createdAt) VALUES (?, ?, ?)'),
+  deleteBlock: db.prepare('DELETE FROM blocks WHERE blockerId = ? AND blockedId = ?'),
+  getBlock: db.prepare('SELECT 1 FROM blocks WHERE blockerId = ? AND blockedId = ?'),
+  getBlockedUsers: db.prepare(`
+    SELECT u.id, u.username FROM blocks b JOIN users u ON u.id = b.blockedId
+    WHERE b.blockerId = ? ORDER BY u.username
+  `),
+
+  // chats
+  insertChat: db.prepare('INSERT INTO chats (id, type, name, createdAt) VALUES (?, ?, ?, ?)'),
+  getPrivateChatBetween: db.prepare(`
+    SELECT c.* FROM chats c
+    JOIN chat_members m1 ON m1.chatId = c.id
+    JOIN chat_members m2 ON m2.chatId = c.id
+    WHERE c.type = 'private' AND m1.userId = ? AND m2.userId = ?
+    LIMIT 1
+  `),
+  getChatById: db.prepare('SELECT * FROM chats WHERE id = ?'),
+  updateChatName: db.prepare('UPDATE chats SET name = ? WHERE id = ?'),
+  updateChatRetention: db.prepare('UPDATE chats SET retentionMode = ?, retentionValue = ? WHERE id = ?'),
+  getChatsWithRetention: db.prepare("SELECT id, retentionMode, retentionValue FROM chats WHERE retentionMode <> 'forever'"),
+
+  // invites; id is the secret token from the link
+  insertInvite: db.prepare('INSERT INTO invites (id, chatId, createdBy, createdAt, expiresAt, maxUses) VALUES (?, ?, ?, ?, ?, ?)'),
+  getInviteById: db.prepare('SELECT * FROM invites WHERE id = ?'),
+  getActiveInvitesOfChat: db.prepare(`
+    SELECT * FROM invites
+    WHERE chatId = @chatId AND revokedAt IS NULL
+      AND (expiresAt IS NULL OR expiresAt > @now) AND (maxUses IS NULL OR uses < maxUses)
+    ORDER BY createdAt DESC
+  `),
+  useInvite: db.prepare(`
+    UPDATE invites SET uses = uses + 1
+    WHERE id = @id AND revokedAt IS NULL
+      AND (expiresAt IS NULL OR expiresAt > @now) AND (maxUses IS NULL OR uses < maxUses)
+  `),
+  revokeInvite: db.prepare('UPDATE invites SET revokedAt = ? WHERE id = ? AND revokedAt IS NULL'),
+
+  // sessions
+  insertSession: db.prepare('INSERT INTO sessions (id, userId, createdAt, lastUsedAt, expiresAt) VALUES (?, ?, ?, ?, ?)'),
+  getSessionById: db.prepare('SELECT * FROM sessions WHERE id = ?'),
+  touchSession: db.prepare('UPDATE sessions SET lastUsedAt = ? WHERE id = ?'),
+  deleteSession: db.prepare('DELETE FROM sessions WHERE id = ?'),
+  deleteSessionsOfUser: db.prepare('DELETE FROM sessions WHERE userId = ?'),
+  deleteOtherSessionsOfUser: db.prepare('DELETE FROM sessions WHERE userId = ? AND id <> ?'),
+  deleteExpiredSessions: db.prepare('DELETE FROM sessions WHERE expiresAt < ?'),
+
+  // settings
+  getSetting: db.prepare('SELECT value FROM settings WHERE key = ?'),
+  insertSetting: db.prepare('INSERT OR IGNORE INTO settings (key, value) VALUES (?, ?)'),
+
+  // members
+  // history that predates joining does not count as unread
+  insertMember: db.prepare("INSERT INTO chat_members (id, chatId, userId, role, lastReadAt) VALUES (?, ?, ?, ?, strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))"),
+  isUserMemberOfChat: db.prepare('SELECT 1 FROM chat_members WHERE chatId = ? AND userId = ? LIMIT 1'),
+  getMemberRole: db.prepare('SELECT role FROM chat_members WHERE chatId = ? AND userId = ? LIMIT 1'),
+  updateMemberRole: db.prepare('UPDATE chat_members SET role = ? WHERE chatId = ? AND userId = ?'),
+  deleteMember: db.prepare('DELETE FROM chat_members WHERE chatId = ? AND userId = ?'),
+  getOtherMemberIds: db.prepare('SELECT userId FROM chat_members WHERE chatId = ? AND userId <> ?'),
+  getChatMembers: db.prepare(`
+    SELECT u.id, u.username, u.lastSeen, m.role, m.lastReadMessageId, m.lastReadAt, m.lastDeliveredAt
+    FROM users u JOIN chat_members m ON u.id = m.userId
+    WHERE m.chatId = ?
+  `),
+  getMemberReceipt: db.prepare('SELECT lastReadMessageId, lastReadAt, lastDeliveredAt FROM chat_members WHERE chatId = ? AND userId = ?'),
+
+  // receipts; lastReadAt is the timestamp of lastReadMessageId, so it compares directly with message timestamps
+  updateLastRead: db.prepare(`
+    UPDATE chat_members SET lastReadMessageId = @messageId, lastReadAt = @timestamp
+    WHERE chatId = @chatId AND userId = @userId AND (lastReadAt IS NULL OR lastReadAt < @timestamp)
+  `),
+  updateLastDelivered: db.prepare(`
+    UPDATE chat_members SET lastDeliveredAt = @timestamp
+    WHERE chatId = @chatId AND userId = @userId AND (lastDeliveredAt IS NULL OR lastDeliveredAt < @timestamp)
+  `),
+  getPrivateChatIdsOfUser: db.prepare("SELECT c.id FROM chats c JOIN chat_members m ON m.chatId = c.id WHERE m.userId = ? AND c.type = 'private'"),
+
+  // chat list
+  getChatsOfUser: db.prepare(`
+    SELECT c.id, c.type, c.name, c.createdAt,
+      (SELECT COUNT(1) FROM messages msg
+       WHERE msg.chatId = c.id AND msg.senderId NOT IN (m.userId, 'system') AND msg.deletedAt IS NULL
+         AND (m.lastReadAt IS NULL OR msg.timestamp > m.lastReadAt)) AS unreadCount
+    FROM chats c
+    JOIN chat_members m ON m.chatId = c.id
+    WHERE m.userId = ?
+    ORDER BY c.createdAt DESC
+  `),
+  // the same counter for every member of one chat
+  getUnreadCountsOfChat: db.prepare(`
+    SELECT m.userId,
+      (SELECT COUNT(1) FROM messages msg
+       WHERE msg.chatId = m.chatId AND msg.senderId NOT IN (m.userId, 'system') AND msg.deletedAt IS NULL
+         AND (m.lastReadAt IS NULL OR msg.timestamp > m.lastReadAt)) AS unreadCount
+    FROM chat_members m
+    WHERE m.chatId = ?
+  `),
+
+  // messages
+  insertMessage: db.prepare(`
+    INSERT INTO messages (id, chatId, senderId, senderName, text, file, timestamp, replyToId)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `),
+  // newest first; callers reverse the page
+  getLatestMessagesOfChat: db.prepare('SELECT * FROM messages WHERE chatId = ? ORDER BY timestamp DESC, id DESC LIMIT ?'),
+  getMessagesBefore: db.prepare(`
+    SELECT * FROM messages
+    WHERE chatId = @chatId AND (timestamp < @timestamp OR (timestamp = @timestamp AND id < @id))
+    ORDER BY timestamp DESC, id DESC
+    LIMIT @limit
+  `),
+  // retention: ids past the newest N, or older than a cutoff
+  getMessageIdsBeyondCount: db.prepare('SELECT id FROM messages WHERE chatId = ? ORDER BY timestamp DESC, id DESC LIMIT -1 OFFSET ?'),
+  getMessageIdsOlderThan: db.prepare('SELECT id FROM messages WHERE chatId = ? AND timestamp < ?'),
+  deleteMessagesByIds: db.prepare('DELETE FROM messages WHERE id IN (SELECT value FROM json_each(?))'),
+
+  // full-text search in the user's own chats; snippet marks hits with \x02 ... \x03
+  searchMessages: db.prepare(`
+    SELECT m.id, m.chatId, m.senderName, m.timestamp, c.type AS chatType, c.name AS chatName,
+      snippet(messages_fts, 0, char(2), char(3), '…', 12) AS snippet
+    FROM messages_fts
+    JOIN messages m ON m.rowid = messages_fts.rowid
+    JOIN chats c ON c.id = m.chatId
+    JOIN chat_members cm ON cm.chatId = m.chatId AND cm.userId = @userId
+    WHERE messages_fts MATCH @match AND m.deletedAt IS NULL AND m.senderId <> 'system'
+      AND (@chatId IS NULL OR m.chatId = @chatId)
+    ORDER BY rank
+    LIMIT @limit
+  `),
+
+  // edit / delete
+  getMessageById: db.prepare('SELECT * FROM messages WHERE id = ?'),
+  updateMessageText: db.prepare('UPDATE messages SET text = ?, editedAt = ? WHERE id = ?'),
+  tombstoneMessage: db.prepare("UPDATE messages SET text = '', file = NULL, deletedAt = ? WHERE id = ?"),
+  insertMessageEdit: db.prepare('INSERT INTO message_edits (id, messageId, text, editedAt) VALUES (?, ?, ?, ?)'),
+  getEditsOfMessage: db.prepare('SELECT text, editedAt FROM message_edits WHERE messageId = ? ORDER BY editedAt ASC'),
+  deleteEditsOfMessages: db.prepare('DELETE FROM message_edits WHERE messageId IN (SELECT value FROM json_each(?))'),
+
+  // reactions
+  insertReaction: db.prepare('INSERT OR IGNORE INTO reactions (messageId, userId, emoji, createdAt) VALUES (?, ?, ?, ?)'),
+  deleteReaction: db.prepare('DELETE FROM reactions WHERE messageId = ? AND userId = ? AND emoji = ?'),
+  getReactionsOfMessages: db.prepare('SELECT messageId, userId, emoji FROM reactions WHERE messageId IN (SELECT value FROM json_each(?)) ORDER BY createdAt ASC'),
+  deleteReactionsOfMessages: db.prepare('DELETE FROM reactions WHERE messageId IN (SELECT value FROM json_each(?))'),
+
+  // replies / threads
+  getReplyPreviews: db.prepare('SELECT id, senderName, text, deletedAt FROM messages WHERE id IN (SELECT value FROM json_each(?))'),
+  getThreadReplies: db.prepare(`
+    WITH RECURSIVE thread(id) AS (
+      SELECT id FROM messages WHERE replyToId = @rootId
+      UNION
+      SELECT m.id FROM messages m JOIN thread t ON m.replyToId = t.id
+    )
+    SELECT * FROM messages WHERE id IN (SELECT id FROM thread)
+    ORDER BY timestamp ASC, id ASC
+    LIMIT @limit
+  `),
+
+  // attachments
+  insertAttachment: db.prepare(`
+    INSERT INTO attachments (id, messageId, uploaderId, path, originalName, mimeType, size, createdAt, width, height, thumbPath, placeholder, duration, waveform)
+    VALUES (@id, NULL, @uploaderId, @path, @originalName, @mimeType, @size, @createdAt, @width, @height, @thumbPath, @placeholder, @duration, @waveform)
+  `),
+  getAttachmentById: db.prepare('SELECT * FROM attachments WHERE id = ?'),
+  attachToMessage: db.prepare('UPDATE attachments SET messageId = ? WHERE id = ? AND messageId IS NULL'),
+  getAttachmentsOfMessages: db.prepare('SELECT * FROM attachments WHERE messageId IN (SELECT value FROM json_each(?)) ORDER BY createdAt ASC'),
+  deleteAttachmentsOfMessages: db.prepare('DELETE FROM attachments WHERE messageId IN (SELECT value FROM json_each(?))'),
+  getOrphanedAttachments: db.prepare('SELECT * FROM attachments WHERE messageId IS NOT NULL AND messageId NOT IN (SELECT id FROM messages)'),
+  deleteAttachmentById: db.prepare('DELETE FROM attachments WHERE id = ?'),
+
+  // resumable uploads
+  insertUploadSession: db.prepare(`
+    INSERT INTO upload_sessions (id, uploaderId, originalName, mimeType, size, chunkSize, sha256, createdAt, updatedAt)
+    VALUES (@id, @uploaderId, @originalName, @mimeType, @size, @chunkSize, @sha256, @createdAt, @createdAt)
+  `),
+  getUploadSession: db.prepare('SELECT * FROM upload_sessions WHERE id = ?'),
+  touchUploadSession: db.prepare('UPDATE upload_sessions SET updatedAt = ? WHERE id = ?'),
+  deleteUploadSession: db.prepare('DELETE FROM upload_sessions WHERE id = ?'),
+  insertUploadChunk: db.prepare('INSERT OR IGNORE INTO upload_chunks (uploadId, idx) VALUES (?, ?)'),
+  getUploadChunks: db.prepare('SELECT idx FROM upload_chunks WHERE uploadId = ? ORDER BY idx'),
+  deleteUploadChunks: db.prepare('DELETE FROM upload_chunks WHERE uploadId = ?'),
+  getStaleUploadSessions: db.prepare('SELECT id FROM upload_sessions WHERE updatedAt < ?'),
+
+  // storage
+  getStorageUsage: db.prepare('SELECT COUNT(*) AS files, COALESCE(SUM(size), 0) AS used FROM attachments WHERE uploaderId = ?'),
+  getReservedUploadBytes: db.prepare('SELECT COALESCE(SUM(size), 0) AS reserved FROM upload_sessions WHERE uploaderId = ?'),
+  getTopStorageUsers: db.prepare(`
+    SELECT u.id AS userId, u.username, COUNT(*) AS files, SUM(a.size) AS used
+    FROM attachments a JOIN users u ON u.id = a.uploaderId
+    GROUP BY a.uploaderId
+    ORDER BY used DESC
+    LIMIT ?
+  `),
+  getUnattachedAttachmentsBefore: db.prepare('SELECT * FROM attachments WHERE messageId IS NULL AND createdAt < ?'),
+  getAttachmentFiles: db.prepare('SELECT path, thumbPath FROM attachments'),
+
+  // groups left without an owner (created before roles existed, or whose owner was deleted):
+  // the earliest remaining member row takes over
+  promoteOwnerlessGroups: db.prepare(`
+    UPDATE chat_members SET role = 'owner'
+    WHERE rowid IN (
+      SELECT MIN(m.rowid) FROM chat_members m JOIN chats c ON c.id = m.chatId
+      WHERE c.type = 'group'
+      GROUP BY m.chatId
+      HAVING SUM(m.role = 'owner') = 0
+    )
+  `),
+
+  // reports and moderation
+  insertReport: db.prepare(`
+    INSERT INTO reports (id, messageId, chatId, senderId, reporterId, reason, comment, messageText, createdAt)
+    VALUES (@id, @messageId, @chatId, @senderId, @reporterId, @reason, @comment, @messageText, @createdAt)
+  `),
+  getReportOfReporter: db.prepare('SELECT id FROM reports WHERE messageId = ? AND reporterId = ?'),
+  // the queue holds one entry per reported message
+  getOpenReportQueue: db.prepare(`
+    SELECT r.messageId, r.chatId, c.name AS chatName, r.senderId, u.username AS senderName,
+      MAX(r.messageText) AS messageText, COUNT(*) AS reportCount, MIN(r.createdAt) AS firstReportedAt,
+      group_concat(DISTINCT r.reason) AS reasons
+    FROM reports r
+    LEFT JOIN chats c ON c.id = r.chatId
+    LEFT JOIN users u ON u.id = r.senderId
+    WHERE r.status = 'open'
+    GROUP BY r.messageId
+    ORDER BY firstReportedAt ASC
+    LIMIT ?
+  `),
+  getOpenReportsOfMessage: db.prepare(`
+    SELECT r.id, r.chatId, r.senderId, r.reporterId, u.username AS reporterName, r.reason, r.comment, r.createdAt
+    FROM reports r LEFT JOIN users u ON u.id = r.reporterId
+    WHERE r.messageId = ? AND r.status = 'open'
+    ORDER BY r.createdAt ASC
+  `),
+  resolveReportsOfMessage: db.prepare(`
+    UPDATE reports SET status = @status, resolvedBy = @resolvedBy, resolvedAt = @resolvedAt, note = @note
+    WHERE messageId = @messageId AND status = 'open'
+  `),
+  getReportsOfReporter: db.prepare(`
+    SELECT r.id, r.messageId, r.chatId, c.name AS chatName, r.reason, r.messageText, r.status, r.createdAt, r.resolvedAt
+    FROM reports r LEFT JOIN chats c ON c.id = r.chatId
+    WHERE r.reporterId = ?
+    ORDER BY r.createdAt DESC
+    LIMIT ?
+  `),
+  // warnings reach the sender once; several reports on one message make a single warning
+  getUnseenWarnings: db.prepare(`
+    SELECT messageId, chatId, MAX(messageText) AS messageText, MAX(note) AS note, MAX(resolvedAt) AS resolvedAt
+    FROM reports WHERE senderId = ? AND status = 'warned' AND warningSeenAt IS NULL
+    GROUP BY messageId
+  `),
+  markWarningsSeen: db.prepare("UPDATE reports SET warningSeenAt = ? WHERE senderId = ? AND status = 'warned' AND warningSeenAt IS NULL"),
+  // messages right after a given one, for showing a report in context
+  getMessagesAfter: db.prepare(`
+    SELECT * FROM messages
+    WHERE chatId = @chatId AND (timestamp > @timestamp OR (timestamp = @timestamp AND id > @id))
+    ORDER BY timestamp ASC, id ASC
+    LIMIT @limit
+  `),
+
+  // bots
+  insertBot: db.prepare('INSERT INTO bots (userId, ownerId, tokenHash, createdAt, tokenCreatedAt) VALUES (@userId, @ownerId, @tokenHash, @createdAt, @createdAt)'),
+  getBot: db.prepare('SELECT * FROM bots WHERE userId = ?'),
+  getBotsOfOwner: db.prepare(`
+    SELECT b.userId AS id, u.username, b.createdAt, b.tokenCreatedAt, b.lastUsedAt
+    FROM bots b JOIN users u ON u.id = b.userId
+    WHERE b.ownerId = ?
+    ORDER BY b.createdAt ASC
+  `),
+  updateBotToken: db.prepare('UPDATE bots SET tokenHash = ?, tokenCreatedAt = ? WHERE userId = ?'),
+  touchBot: db.prepare('UPDATE bots SET lastUsedAt = ? WHERE userId = ?'),
+  deleteBot: db.prepare('DELETE FROM bots WHERE userId = ?'),
+  deleteMembershipsOfUser: db.prepare('DELETE FROM chat_members WHERE userId = ?'),
+  deleteUser: db.prepare('DELETE FROM users WHERE id = ?'),
+
+  // webhooks
+  insertWebhook: db.prepare(`
+    INSERT INTO webhooks (id, chatId, url, secret, createdBy, createdAt)
+    VALUES (@id, @chatId, @url, @secret, @createdBy, @createdAt)
+  `),
+  getWebhookById: db.prepare('SELECT * FROM webhooks WHERE id = ?'),
+  getWebhooksOfChat: db.prepare('SELECT * FROM webhooks WHERE chatId = ? ORDER BY createdAt ASC'),
+  updateWebhookStatus: db.prepare('UPDATE webhooks SET lastDeliveryAt = ?, lastStatus = ? WHERE id = ?'),
+  deleteWebhook: db.prepare('DELETE FROM webhooks WHERE id = ?'),
+  insertWebhookDelivery: db.prepare(`
+    INSERT INTO webhook_deliveries (id, webhookId, payload, nextAttemptAt, createdAt)
+    VALUES (@id, @webhookId, @payload, @createdAt, @createdAt)
+  `),
+  getDueWebhookDeliveries: db.prepare(`
+    SELECT d.*, w.url, w.secret FROM webhook_deliveries d JOIN webhooks w ON w.id = d.webhookId
+    WHERE d.nextAttemptAt <= ?
+    ORDER BY d.nextAttemptAt ASC
+    LIMIT ?
+  `),
+  // every instance polls the queue; the one whose update lands owns the delivery until the lease runs out
+  claimWebhookDelivery: db.prepare('UPDATE webhook_deliveries SET nextAttemptAt = @leaseUntil WHERE id = @id AND nextAttemptAt = @nextAttemptAt'),
+  rescheduleWebhookDelivery: db.prepare('UPDATE webhook_deliveries SET attempts = @attempts, nextAttemptAt = @nextAttemptAt, lastError = @lastError WHERE id = @id'),
+  deleteWebhookDelivery: db.prepare('DELETE FROM webhook_deliveries WHERE id = ?'),
+  deleteDeliveriesOfWebhook: db.prepare('DELETE FROM webhook_deliveries WHERE webhookId = ?'),
+
+  // audit log: written by admin.js and by moderators; the server follows it to apply actions to live sockets
+  insertAuditEntry: db.prepare(`
+    INSERT INTO audit_log (actor, action, targetType, targetId, details, createdAt)
+    VALUES (@actor, @action, @targetType, @targetId, @details, @createdAt)
+  `),
+  getAuditEntriesAfter: db.prepare('SELECT * FROM audit_log WHERE id > ? ORDER BY id'),
+  getLastAuditId: db.prepare('SELECT COALESCE(MAX(id), 0) AS id FROM audit_log'),
+  getAuditLog: db.prepare('SELECT * FROM audit_log ORDER BY id DESC LIMIT ?'),
+
+  // server instances and presence
+  upsertInstance: db.prepare(`
+    INSERT INTO instances (id, hostId, heartbeatAt) VALUES (?, ?, ?)
+    ON CONFLICT(id) DO UPDATE SET heartbeatAt = excluded.heartbeatAt
+  `),
+  getLiveInstancesOfOtherHosts: db.prepare('SELECT id, hostId FROM instances WHERE hostId <> ? AND heartbeatAt >= ?'),
+  getDeadInstances: db.prepare('SELECT id FROM instances WHERE heartbeatAt < ?'),
+  deleteInstance: db.prepare('DELETE FROM instances WHERE id = ?'),
+  insertConnection: db.prepare('INSERT OR REPLACE INTO connections (socketId, userId, instanceId) VALUES (?, ?, ?)'),
+  deleteConnection: db.prepare('DELETE FROM connections WHERE socketId = ?'),
+  getUsersOfInstance: db.prepare('SELECT DISTINCT userId FROM connections WHERE instanceId = ?'),
+  deleteConnectionsOfInstance: db.prepare('DELETE FROM connections WHERE instanceId = ?'),
+  isUserConnected: db.prepare(`
+    SELECT 1 FROM connections c JOIN instances i ON i.id = c.instanceId
+    WHERE c.userId = ? AND i.heartbeatAt >= ?
+    LIMIT 1
+  `),
+
+  // sqlite socket adapter
+  insertAdapterMessage: db.prepare('INSERT INTO adapter_messages (senderId, targetId, payload, createdAt) VALUES (?, ?, ?, ?)'),
+  getAdapterMessagesAfter: db.prepare('SELECT * FROM adapter_messages WHERE id > ? ORDER BY id'),
+  getLastAdapterMessageId: db.prepare('SELECT COALESCE(MAX(id), 0) AS id FROM adapter_messages'),
+  deleteAdapterMessagesBefore: db.prepare('DELETE FROM adapter_messages WHERE createdAt < ?'),
+  // succeeds for one instance per cleanup period: the last claim, in ms, has to be older than @due
+  claimAdapterCleanup: db.prepare(`
+    INSERT INTO settings (key, value) VALUES ('adapterCleanupAt', @now)
+    ON CONFLICT(key) DO UPDATE SET value = excluded.value WHERE CAST(settings.value AS INTEGER) <= @due
+  `)
+};
+
+stmt.promoteOwnerlessGroups.run();
+
+/* --------------------------
+   Data helpers
+   -------------------------- */
+// what is wrong with a password under PASSWORD_POLICY as { code, params }, or null when it passes
+function checkPassword(p) {
+  if (typeof p !== 'string') return { code: 'password_required', params: {} };
+  if (p.length < PASSWORD_POLICY.minLength) return { code: 'password_too_short', params: { min: PASSWORD_POLICY.minLength } };
+  if (Buffer.byteLength(p) > PASSWORD_POLICY.maxLength) return { code: 'password_too_long', params: { max: PASSWORD_POLICY.maxLength } };
+  if (PASSWORD_POLICY.requireLetter && !/\p{L}/u.test(p)) return { code: 'password_needs_letter', params: {} };
+  if (PASSWORD_POLICY.requireDigit && !/\d/.test(p)) return { code: 'password_needs_digit', params: {} };
+  return null;
+}
+
+function removeUploadFile(attachment) {
+  [attachment.path, attachment.thumbPath].filter(Boolean).forEach(p => {
+    fs.unlink(path.join(UPLOAD_DIR, path.basename(p)), (err) => {
+      if (err && err.code !== 'ENOENT') console.error('Failed to delete upload', p, err.message);
+    });
+  });
+}
+
+// deletes messages together with their attachment rows; files are removed after commit
+function deleteMessagesWithAttachments(ids) {
+  if (!ids.length) return;
+  const json = JSON.stringify(ids);
+  const files = stmt.getAttachmentsOfMessages.all(json);
+  db.transaction(() => {
+    stmt.deleteAttachmentsOfMessages.run(json);
+    stmt.deleteEditsOfMessages.run(json);
+    stmt.deleteReactionsOfMessages.run(json);
+    stmt.deleteMessagesByIds.run(json);
+  })();
+  files.forEach(removeUploadFile);
+}
+
+// empties messages down to tombstones: attachments, edits and reactions go, the rows stay
+function tombstoneMessages(ids) {
+  if (!ids.length) return;
+  const json = JSON.stringify(ids);
+  const files = stmt.getAttachmentsOfMessages.all(json);
+  const now = new Date().toISOString();
+  db.transaction(() => {
+    stmt.deleteAttachmentsOfMessages.run(json);
+    stmt.deleteEditsOfMessages.run(json);
+    stmt.deleteReactionsOfMessages.run(json);
+    ids.forEach(id => stmt.tombstoneMessage.run(now, id));
+  })();
+  files.forEach(removeUploadFile);
+}
+
+module.exports = {
+  db,
+  stmt,
+  UPLOAD_DIR,
+  PARTIAL_UPLOAD_DIR,
+  HOST_ID,
+  BCRYPT_ROUNDS,
+  PASSWORD_POLICY,
+  USER_ROLES,
+  checkPassword,
+  removeUploadFile,
+  deleteMessagesWithAttachments,
+  tombstoneMessages
+};
@@ -1,4 +1,8 @@
-const socket = io({ transports: ["websocket"] });
+// the token is re-read on every (re)connect, so a reload resumes the session
+const socket = io({
+    transports: ["websocket"],
+    auth: cb => cb({ token: localStorage.getItem("token") })
+});
 
 // --- MOBILE 100VH FIX ---
 function fixVH() {
@@ -7,6 +11,618 @@ function fixVH() {
 fixVH();
 window.addEventListener("resize", fixVH);
 
+// =======================================================
+//                         I18N
+// =======================================================
+
+// every user-visible string by language; "{name}" placeholders are filled from params.
+// Server errors arrive as codes and are looked up under "error.<code>"
+const MESSAGES = {
+    ru: {
+        "locale": "ru-RU",
+        "lang.switch": "EN",
+        "lang.title": "Switch to English",
+
+        "login.username": "Имя пользователя",
+        "login.password": "Пароль",
+        "login.submit": "Войти",
+        "login.register": "Регистрация",
+        "login.hint": "Нет аккаунта? Придумайте имя и пароль и нажмите «Регистрация».",
+
+        "sidebar.createGroup": "+ Группа",
+        "sidebar.changePassword": "Сменить пароль",
+        "sidebar.privacy": "Приватность",
+        "sidebar.storage": "Хранилище",
+        "sidebar.reports": "Жалобы",
+        "sidebar.bots": "Боты",
+        "sidebar.logout": "Выйти",
+        "sidebar.logoutAll": "Выйти везде",
+        "sidebar.logoutAllTitle": "Выйти на всех устройствах",
+        "sidebar.search": "Поиск людей и сообщений...",
+
+        "chat.back": "< Назад",
+        "chat.choose": "Выберите чат",
+        "chat.addMember": "Добавить участника",
+        "chat.members": "Участники",
+        "chat.retention": "Хранение сообщений",
+        "chat.block": "Заблокировать",
+        "chat.unblock": "Разблокировать",
+        "chat.cancelReply": "Отменить ответ",
+        "chat.voice": "Голосовое сообщение",
+        "chat.messagePlaceholder": "Написать сообщение...",
+        "chat.send": "Отправить",
+        "chat.group": "Группа",
+        "chat.private": "Личное",
+        "chat.online": "в сети",
+        "chat.lastSeen": "был(а) в сети {when}",
+        "chat.memberCount": "участников: {count}",
+        "chat.typingOne": "{names} печатает…",
+        "chat.typingMany": "{names} печатают…",
+
+        "panel.close": "Закрыть",
+        "panel.thread": "Тред",
+        "panel.invites": "Ссылки-приглашения",
+        "panel.createInvite": "Создать ссылку",
+        "panel.webhooks": "Вебхуки",
+        "panel.chatIdHint": "ID группы для API ботов:",
+        "panel.createWebhook": "Добавить вебхук",
+        "panel.rename": "Переименовать",
+        "panel.leave": "Выйти из группы",
+        "panel.bots": "Боты",
+        "panel.botsHint": "Бот пишет в группу, куда вы его добавили: <code>POST /api/v1/chats/&lt;ID группы&gt;/messages</code> с заголовком <code>Authorization: Bearer &lt;токен&gt;</code> и телом <code>{\"text\": \"...\"}</code>.",
+        "panel.createBot": "Создать бота",
+        "panel.moderationQueue": "Очередь модерации",
+        "panel.myReports": "Мои жалобы",
+
+        "search.messages": "Сообщения",
+
+        "role.owner": "владелец",
+        "role.admin": "админ",
+        "member.promote": "Сделать админом",
+        "member.demote": "Снять админа",
+        "member.transfer": "Передать права владельца",
+        "member.remove": "Удалить из группы",
+
+        "time.today": "сегодня в {time}",
+        "time.onDate": "{date} в {time}",
+
+        "system.sender": "Система",
+        "system.joined_by_invite": "{user} присоединился по приглашению",
+        "system.member_added": "{user} добавил {member}",
+        "system.member_removed": "{user} удалил {member}",
+        "system.member_left": "{user} покинул группу",
+        "system.group_renamed": "{user} переименовал группу в «{name}»",
+        "system.admin_granted": "{user} назначил {member} администратором",
+        "system.admin_revoked": "{user} снял права администратора с {member}",
+        "system.ownership_transferred": "{user} передал права владельца {member}",
+        "system.retention_count": "{user} изменил политику хранения: хранить последние {value} сообщений",
+        "system.retention_days": "{user} изменил политику хранения: хранить сообщения {value} дн.",
+        "system.retention_forever": "{user} изменил политику хранения: хранить сообщения всегда",
+
+        "message.deleted": "Сообщение удалено",
+        "message.edited": "изменено",
+        "message.attachment": "вложение",
+        "message.react": "Реакция",
+        "message.reply": "Ответить",
+        "message.thread": "Тред",
+        "message.edit": "Изменить",
+        "message.delete": "Удалить",
+        "message.report": "Пожаловаться",
+        "message.showInChat": "Показать в чате",
+
+        "prompt.currentPassword": "Текущий пароль?",
+        "prompt.newPassword": "Новый пароль?",
+        "prompt.groupName": "Название группы?",
+        "prompt.renameGroup": "Новое название группы?",
+        "prompt.addMember": "Кого добавить?",
+        "prompt.editMessage": "Изменить сообщение",
+        "prompt.inviteHours": "Срок действия в часах (пусто — бессрочно)",
+        "prompt.inviteUses": "Сколько раз можно использовать (пусто — без ограничений)",
+        "prompt.inviteLink": "Ссылка-приглашение — скопируйте её",
+        "prompt.webhookUrl": "Адрес, на который отправлять новые сообщения (POST, JSON)",
+        "prompt.webhookSecret": "Секрет для проверки подписи (X-Webhook-Signature) — скопируйте его, больше он показан не будет",
+        "prompt.botName": "Имя бота",
+        "prompt.botToken": "Токен бота {username} — скопируйте его, больше он показан не будет",
+        "prompt.retention": "Хранить сообщения: «всегда», число сообщений (например 500) или дни (например 30d)",
+        "prompt.privacy": "Кто может начинать с вами чаты и добавлять вас в группы:",
+        "prompt.blocked": "Заблокированы: {names}",
+        "prompt.blockedNobody": "никого",
+        "prompt.reportReason": "Причина жалобы:",
+        "prompt.reportComment": "Комментарий для модераторов (необязательно)",
+        "prompt.warningText": "Текст предупреждения для автора",
+        "prompt.banReason": "Причина блокировки",
+
+        "confirm.logoutAll": "Выйти на всех устройствах?",
+        "confirm.deleteMessage": "Удалить сообщение?",
+        "confirm.revokeInvite": "Отозвать ссылку?",
+        "confirm.deleteWebhook": "Удалить вебхук?",
+        "confirm.regenerateToken": "Выпустить новый токен? Старый перестанет работать.",
+        "confirm.deleteBot": "Удалить бота? Его сообщения останутся в чатах.",
+        "confirm.leaveGroup": "Выйти из группы?",
+        "confirm.removeMember": "Удалить участника?",
+        "confirm.transferOwnership": "Передать права владельца?",
+        "confirm.blockUser": "Заблокировать {username}? Переписка в этом чате станет недоступна.",
+
+        "retention.forever": "всегда",
+        "privacy.everyone": "все",
+        "privacy.groups": "только участники общих групп",
+        "privacy.nobody": "никто",
+
+        "invite.uses": "{uses} исп.",
+        "invite.until": "до {date}",
+        "invite.noExpiry": "бессрочно",
+        "invite.revoke": "Отозвать",
+
+        "webhook.delivered": "доставлено",
+        "webhook.failed": "ошибка: {status}",
+        "webhook.neverSent": "ещё не отправлялся",
+        "webhook.delete": "Удалить",
+
+        "bots.empty": "У вас пока нет ботов",
+        "bots.lastUsed": "писал {when}",
+        "bots.neverUsed": "ещё не писал",
+        "bots.newToken": "Новый токен",
+        "bots.delete": "Удалить",
+
+        "storage.summary": "Занято {used} из {quota} (файлов: {files})",
+        "storage.top": "Больше всех занимают:",
+
+        "upload.progress": "Загрузка",
+        "upload.progressOf": "Загрузка {n}/{total}",
+        "upload.tooManyFiles": "Не более {max} файлов",
+        "upload.tooBig": "Файл «{name}» больше {size} MB",
+        "upload.wrongType": "Тип файла «{name}» не поддерживается",
+        "upload.failed": "Ошибка загрузки файла",
+
+        "voice.progress": "Голосовое",
+        "voice.unsupported": "Запись голоса не поддерживается этим браузером",
+        "voice.noMicrophone": "Нет доступа к микрофону",
+        "voice.failed": "Не удалось отправить голосовое сообщение",
+        "voice.play": "Воспроизвести",
+        "voice.speed": "Скорость",
+
+        "report.reason.spam": "спам",
+        "report.reason.abuse": "оскорбления",
+        "report.reason.illegal": "незаконный контент",
+        "report.reason.other": "другое",
+        "report.status.open": "на рассмотрении",
+        "report.status.dismissed": "отклонена",
+        "report.status.deleted": "сообщение удалено",
+        "report.status.warned": "сообщение удалено, автор получил предупреждение",
+        "report.status.banned": "сообщение удалено, автор заблокирован",
+        "report.confirm.dismiss": "Отклонить все жалобы на это сообщение?",
+        "report.confirm.delete": "Удалить сообщение?",
+        "report.confirm.warn": "Удалить сообщение и предупредить автора?",
+        "report.confirm.ban": "Удалить сообщение и заблокировать автора?",
+        "report.mineEmpty": "Вы ещё не отправляли жалоб",
+        "report.queueEmpty": "Открытых жалоб нет",
+        "report.deletedUser": "удалённый пользователь",
+        "report.inChat": "в «{chat}»",
+        "report.count": "жалоб: {count}",
+        "report.context": "Контекст",
+        "report.contextOf": "Контекст: {chat}",
+        "report.dismiss": "Отклонить",
+        "report.delete": "Удалить",
+        "report.warn": "Предупредить",
+        "report.ban": "Заблокировать",
+
+        "notice.passwordChanged": "Пароль изменён",
+        "notice.memberAdded": "{username} добавлен в «{chatName}»",
+        "notice.removedFromChat": "Вы больше не участник «{chatName}»",
+        "notice.reportSent": "Жалоба отправлена модераторам",
+        "notice.reportResolved": "Ваша жалоба рассмотрена: {status}",
+        "notice.warnings": "Модераторы удалили ваше сообщение и вынесли предупреждение:",
+
+        "error.unknown": "Что-то пошло не так",
+        "error.not_authenticated": "Сначала войдите в аккаунт",
+        "error.rate_limited": "Слишком много запросов, подождите {retryAfter} с",
+        "error.too_many_attempts": "Слишком много неудачных попыток входа, попробуйте через {retryAfter} с",
+        "error.invalid_payload": "Некорректный запрос",
+        "error.unknown_event": "Неизвестный запрос",
+        "error.too_many_violations": "Слишком много некорректных запросов, соединение сброшено",
+        "error.credentials_required": "Введите имя пользователя и пароль",
+        "error.invalid_username": "Имя: 3–32 символа, буквы, цифры, \"_\", \".\" или \"-\"",
+        "error.password_required": "Введите пароль",
+        "error.password_too_short": "Пароль должен быть не короче {min} символов",
+        "error.password_too_long": "Пароль должен быть не длиннее {max} байт",
+        "error.password_needs_letter": "Пароль должен содержать букву",
+        "error.password_needs_digit": "Пароль должен содержать цифру",
+        "error.username_taken": "Это имя уже занято",
+        "error.user_not_found": "Пользователь не найден",
+        "error.wrong_password": "Неверный пароль",
+        "error.wrong_current_password": "Неверный текущий пароль",
+        "error.account_banned": "Аккаунт заблокирован администратором",
+        "error.account_banned_reason": "Аккаунт заблокирован: {reason}",
+        "error.save_failed": "Не удалось сохранить изменения, попробуйте ещё раз",
+        "error.bot_owner_only": "Добавить бота может только его владелец",
+        "error.user_blocked_by_you": "Вы заблокировали этого пользователя",
+        "error.contact_restricted": "{username} ограничил(а) круг общения",
+        "error.contact_groups_only": "{username} общается только с участниками общих групп",
+        "error.no_access": "Нет доступа к этому чату",
+        "error.chat_not_found": "Чат не найден",
+        "error.group_not_found": "Группа не найдена",
+        "error.not_group_member": "Вы не состоите в группе",
+        "error.admin_only": "Это могут делать только администраторы группы",
+        "error.owner_only": "Это может делать только владелец группы",
+        "error.already_member": "{username} уже в чате",
+        "error.owner_must_transfer": "Сначала передайте права владельца другому участнику",
+        "error.chat_name_required": "Введите название группы",
+        "error.cannot_remove_member": "Недостаточно прав, чтобы удалить участника",
+        "error.message_not_found": "Сообщение не найдено",
+        "error.chat_blocked": "Переписка недоступна: пользователь заблокирован",
+        "error.too_many_attachments": "Не более {max} файлов в сообщении",
+        "error.storage_quota_exceeded": "Не хватает места: хранилище заполнено. Удалите старые файлы или сообщения.",
+        "error.upload_missing": "Файл не получен или этот тип файлов не поддерживается",
+        "error.upload_name_required": "У файла нет имени",
+        "error.upload_type_not_allowed": "Этот тип файлов не поддерживается",
+        "error.upload_invalid_size": "Неверный размер файла",
+        "error.upload_too_large": "Файл больше {maxMb} MB",
+        "error.upload_invalid_checksum": "Неверная контрольная сумма файла",
+        "error.upload_not_found": "Загрузка не найдена, начните заново",
+        "error.upload_invalid_chunk": "Неверный номер части файла",
+        "error.upload_chunk_size": "Часть файла неверного размера",
+        "error.upload_incomplete": "Файл загружен не полностью",
+        "error.upload_checksum_mismatch": "Файл повредился при загрузке, попробуйте ещё раз",
+        "error.upload_content_mismatch": "Содержимое файла не совпадает с его типом",
+        "error.upload_unreadable": "Не удалось обработать файл",
+        "error.attachment_not_found": "Вложение не найдено",
+        "error.reply_not_found": "Сообщение для ответа не найдено",
+        "error.empty_message": "Пустое сообщение",
+        "error.not_own_message": "Можно изменять только свои сообщения",
+        "error.cannot_delete_message": "Нельзя удалить это сообщение",
+        "error.invalid_reaction": "Недопустимая реакция",
+        "error.invite_not_found": "Приглашение не найдено",
+        "error.invite_expired": "Приглашение недействительно или истекло",
+        "error.invalid_invite_limits": "Неверный срок действия или лимит использований",
+        "error.unknown_retention": "Неизвестная политика хранения",
+        "error.retention_out_of_range": "Допустимое значение: от {min} до {max}",
+        "error.bad_retention_value": "Не удалось разобрать значение",
+        "error.unknown_privacy": "Неизвестная настройка приватности",
+        "error.choose_option": "Введите номер варианта",
+        "error.server_admin_only": "Доступно только администраторам сервера",
+        "error.report_groups_only": "Жаловаться можно только на сообщения в группах",
+        "error.report_own_message": "Нельзя пожаловаться на своё сообщение",
+        "error.report_reason_required": "Укажите причину жалобы",
+        "error.already_reported": "Вы уже пожаловались на это сообщение",
+        "error.moderator_only": "Доступно только модераторам",
+        "error.report_already_resolved": "Жалоба уже рассмотрена",
+        "error.report_not_found": "Жалоба не найдена",
+        "error.unknown_action": "Неизвестное действие",
+        "error.cannot_ban_self": "Нельзя заблокировать самого себя",
+        "error.cannot_ban_moderator": "Модераторов и администраторов блокируют только через admin.js",
+        "error.bot_limit": "Не более {max} ботов",
+        "error.bot_not_found": "Бот не найден",
+        "error.webhook_url_required": "Укажите адрес вебхука",
+        "error.webhook_url_protocol": "Адрес должен начинаться с http:// или https://",
+        "error.webhook_url_invalid": "Неверный адрес вебхука",
+        "error.webhook_url_unresolved": "Не удалось найти сервер по этому адресу",
+        "error.webhook_url_private": "Вебхук не может вести во внутреннюю сеть",
+        "error.webhook_limit": "Не более {max} вебхуков в группе",
+        "error.webhook_not_found": "Вебхук не найден"
+    },
+    en: {
+        "locale": "en-GB",
+        "lang.switch": "RU",
+        "lang.title": "Переключить на русский",
+
+        "login.username": "Username",
+        "login.password": "Password",
+        "login.submit": "Log in",
+        "login.register": "Sign up",
+        "login.hint": "No account yet? Pick a name and a password and press “Sign up”.",
+
+        "sidebar.createGroup": "+ Group",
+        "sidebar.changePassword": "Change password",
+        "sidebar.privacy": "Privacy",
+        "sidebar.storage": "Storage",
+        "sidebar.reports": "Reports",
+        "sidebar.bots": "Bots",
+        "sidebar.logout": "Log out",
+        "sidebar.logoutAll": "Log out everywhere",
+        "sidebar.logoutAllTitle": "Log out on all devices",
+        "sidebar.search": "Search people and messages...",
+
+        "chat.back": "< Back",
+        "chat.choose": "Select a chat",
+        "chat.addMember": "Add member",
+        "chat.members": "Members",
+        "chat.retention": "Message retention",
+        "chat.block": "Block",
+        "chat.unblock": "Unblock",
+        "chat.cancelReply": "Cancel reply",
+        "chat.voice": "Voice message",
+        "chat.messagePlaceholder": "Write a message...",
+        "chat.send": "Send",
+        "chat.group": "Group",
+        "chat.private": "Private",
+        "chat.online": "online",
+        "chat.lastSeen": "last seen {when}",
+        "chat.memberCount": "members: {count}",
+        "chat.typingOne": "{names} is typing…",
+        "chat.typingMany": "{names} are typing…",
+
+        "panel.close": "Close",
+        "panel.thread": "Thread",
+        "panel.invites": "Invite links",
+        "panel.createInvite": "Create link",
+        "panel.webhooks": "Webhooks",
+        "panel.chatIdHint": "Group ID for the bot API:",
+        "panel.createWebhook": "Add webhook",
+        "panel.rename": "Rename",
+        "panel.leave": "Leave group",
+        "panel.bots": "Bots",
+        "panel.botsHint": "A bot posts to groups you have added it to: <code>POST /api/v1/chats/&lt;group ID&gt;/messages</code> with the header <code>Authorization: Bearer &lt;token&gt;</code> and the body <code>{\"text\": \"...\"}</code>.",
+        "panel.createBot": "Create bot",
+        "panel.moderationQueue": "Moderation queue",
+        "panel.myReports": "My reports",
+
+        "search.messages": "Messages",
+
+        "role.owner": "owner",
+        "role.admin": "admin",
+        "member.promote": "Make admin",
+        "member.demote": "Remove admin rights",
+        "member.transfer": "Hand over ownership",
+        "member.remove": "Remove from group",
+
+        "time.today": "today at {time}",
+        "time.onDate": "{date} at {time}",
+
+        "system.sender": "System",
+        "system.joined_by_invite": "{user} joined via an invite link",
+        "system.member_added": "{user} added {member}",
+        "system.member_removed": "{user} removed {member}",
+        "system.member_left": "{user} left the group",
+        "system.group_renamed": "{user} renamed the group to “{name}”",
+        "system.admin_granted": "{user} made {member} an admin",
+        "system.admin_revoked": "{user} removed {member} as an admin",
+        "system.ownership_transferred": "{user} handed ownership to {member}",
+        "system.retention_count": "{user} changed retention: keep the last {value} messages",
+        "system.retention_days": "{user} changed retention: keep messages for {value} days",
+        "system.retention_forever": "{user} changed retention: keep messages forever",
+
+        "message.deleted": "Message deleted",
+        "message.edited": "edited",
+        "message.attachment": "attachment",
+        "message.react": "React",
+        "message.reply": "Reply",
+        "message.thread": "Thread",
+        "message.edit": "Edit",
+        "message.delete": "Delete",
+        "message.report": "Report",
+        "message.showInChat": "Show in chat",
+
+        "prompt.currentPassword": "Current password?",
+        "prompt.newPassword": "New password?",
+        "prompt.groupName": "Group name?",
+        "prompt.renameGroup": "New group name?",
+        "prompt.addMember": "Who should be added?",
+        "prompt.editMessage": "Edit message",
+        "prompt.inviteHours": "Valid for how many hours (empty — no expiry)",
+        "prompt.inviteUses": "How many times it can be used (empty — unlimited)",
+        "prompt.inviteLink": "Invite link — copy it",
+        "prompt.webhookUrl": "URL to send new messages to (POST, JSON)",
+        "prompt.webhookSecret": "Secret for checking the signature (X-Webhook-Signature) — copy it, it will not be shown again",
+        "prompt.botName": "Bot name",
+        "prompt.botToken": "Token of the bot {username} — copy it, it will not be shown again",
+        "prompt.retention": "Keep messages: “forever”, a number of messages (e.g. 500) or days (e.g. 30d)",
+        "prompt.privacy": "Who can start chats with you and add you to groups:",
+        "prompt.blocked": "Blocked: {names}",
+        "prompt.blockedNobody": "nobody",
+        "prompt.reportReason": "Reason for the report:",
+        "prompt.reportComment": "Comment for the moderators (optional)",
+        "prompt.warningText": "Warning text for the author",
+        "prompt.banReason": "Reason for the ban",
+
+        "confirm.logoutAll": "Log out on all devices?",
+        "confirm.deleteMessage": "Delete this message?",
+        "confirm.revokeInvite": "Revoke this link?",
+        "confirm.deleteWebhook": "Delete this webhook?",
+        "confirm.regenerateToken": "Issue a new token? The old one will stop working.",
+        "confirm.deleteBot": "Delete this bot? Its messages stay in the chats.",
+        "confirm.leaveGroup": "Leave this group?",
+        "confirm.removeMember": "Remove this member?",
+        "confirm.transferOwnership": "Hand over ownership?",
+        "confirm.blockUser": "Block {username}? You will no longer be able to write to each other in this chat.",
+
+        "retention.forever": "forever",
+        "privacy.everyone": "everyone",
+        "privacy.groups": "only people from shared groups",
+        "privacy.nobody": "nobody",
+
+        "invite.uses": "used {uses}×",
+        "invite.until": "until {date}",
+        "invite.noExpiry": "no expiry",
+        "invite.revoke": "Revoke",
+
+        "webhook.delivered": "delivered",
+        "webhook.failed": "failed: {status}",
+        "webhook.neverSent": "nothing sent yet",
+        "webhook.delete": "Delete",
+
+        "bots.empty": "You have no bots yet",
+        "bots.lastUsed": "posted {when}",
+        "bots.neverUsed": "has not posted yet",
+        "bots.newToken": "New token",
+        "bots.delete": "Delete",
+
+        "storage.summary": "{used} of {quota} used ({files} files)",
+        "storage.top": "Using the most space:",
+
+        "upload.progress": "Uploading",
+        "upload.progressOf": "Uploading {n}/{total}",
+        "upload.tooManyFiles": "No more than {max} files",
+        "upload.tooBig": "“{name}” is larger than {size} MB",
+        "upload.wrongType": "The type of “{name}” is not supported",
+        "upload.failed": "File upload failed",
+
+        "voice.progress": "Voice note",
+        "voice.unsupported": "This browser cannot record voice",
+        "voice.noMicrophone": "No access to the microphone",
+        "voice.failed": "Could not send the voice note",
+        "voice.play": "Play",
+        "voice.speed": "Speed",
+
+        "report.reason.spam": "spam",
+        "report.reason.abuse": "abuse",
+        "report.reason.illegal": "illegal content",
+        "report.reason.other": "other",
+        "report.status.open": "under review",
+        "report.status.dismissed": "dismissed",
+        "report.status.deleted": "message deleted",
+        "report.status.warned": "message deleted, the author was warned",
+        "report.status.banned": "message deleted, the author was banned",
+        "report.confirm.dismiss": "Dismiss every report on this message?",
+        "report.confirm.delete": "Delete the message?",
+        "report.confirm.warn": "Delete the message and warn the author?",
+        "report.confirm.ban": "Delete the message and ban the author?",
+        "report.mineEmpty": "You have not reported anything yet",
+        "report.queueEmpty": "No open reports",
+        "report.deletedUser": "deleted user",
+        "report.inChat": "in “{chat}”",
+        "report.count": "reports: {count}",
+        "report.context": "Context",
+        "report.contextOf": "Context: {chat}",
+        "report.dismiss": "Dismiss",
+        "report.delete": "Delete",
+        "report.warn": "Warn",
+        "report.ban": "Ban",
+
+        "notice.passwordChanged": "Password changed",
+        "notice.memberAdded": "{username} was added to “{chatName}”",
+        "notice.removedFromChat": "You are no longer a member of “{chatName}”",
+        "notice.reportSent": "Your report was sent to the moderators",
+        "notice.reportResolved": "Your report was reviewed: {status}",
+        "notice.warnings": "Moderators deleted your message and issued a warning:",
+
+        "error.unknown": "Something went wrong",
+        "error.not_authenticated": "Please log in first",
+        "error.rate_limited": "Too many requests, wait {retryAfter} s",
+        "error.too_many_attempts": "Too many failed logins, try again in {retryAfter} s",
+        "error.invalid_payload": "Malformed request",
+        "error.unknown_event": "Unknown request",
+        "error.too_many_violations": "Too many malformed requests, the connection was reset",
+        "error.credentials_required": "Enter a username and a password",
+        "error.invalid_username": "Username: 3–32 characters, letters, digits, \"_\", \".\" or \"-\"",
+        "error.password_required": "Enter a password",
+        "error.password_too_short": "The password must be at least {min} characters long",
+        "error.password_too_long": "The password must be at most {max} bytes long",
+        "error.password_needs_letter": "The password must contain a letter",
+        "error.password_needs_digit": "The password must contain a digit",
+        "error.username_taken": "This name is already taken",
+        "error.user_not_found": "User not found",
+        "error.wrong_password": "Wrong password",
+        "error.wrong_current_password": "The current password is wrong",
+        "error.account_banned": "This account was banned by an administrator",
+        "error.account_banned_reason": "This account was banned: {reason}",
+        "error.save_failed": "Could not save the change, please try again",
+        "error.bot_owner_only": "Only its owner can add a bot",
+        "error.user_blocked_by_you": "You have blocked this user",
+        "error.contact_restricted": "{username} does not accept new contacts",
+        "error.contact_groups_only": "{username} only talks to people from shared groups",
+        "error.no_access": "You have no access to this chat",
+        "error.chat_not_found": "Chat not found",
+        "error.group_not_found": "Group not found",
+        "error.not_group_member": "You are not a member of this group",
+        "error.admin_only": "Only group admins can do this",
+        "error.owner_only": "Only the group owner can do this",
+        "error.already_member": "{username} is already in the chat",
+        "error.owner_must_transfer": "Hand the group over to another member first",
+        "error.chat_name_required": "Enter a group name",
+        "error.cannot_remove_member": "You are not allowed to remove this member",
+        "error.message_not_found": "Message not found",
+        "error.chat_blocked": "You cannot write here: one of you has blocked the other",
+        "error.too_many_attachments": "No more than {max} files per message",
+        "error.storage_quota_exceeded": "Out of space: your storage is full. Delete old files or messages.",
+        "error.upload_missing": "No file was received, or this file type is not supported",
+        "error.upload_name_required": "The file has no name",
+        "error.upload_type_not_allowed": "This file type is not supported",
+        "error.upload_invalid_size": "Invalid file size",
+        "error.upload_too_large": "The file is larger than {maxMb} MB",
+        "error.upload_invalid_checksum": "Invalid file checksum",
+        "error.upload_not_found": "Upload not found, start over",
+        "error.upload_invalid_chunk": "Invalid file part number",
+        "error.upload_chunk_size": "A file part has the wrong size",
+        "error.upload_incomplete": "The file has not been uploaded completely",
+        "error.upload_checksum_mismatch": "The file was damaged in transit, please try again",
+        "error.upload_content_mismatch": "The file content does not match its type",
+        "error.upload_unreadable": "The file could not be processed",
+        "error.attachment_not_found": "Attachment not found",
+        "error.reply_not_found": "The message you are replying to was not found",
+        "error.empty_message": "The message is empty",
+        "error.not_own_message": "You can only edit your own messages",
+        "error.cannot_delete_message": "You cannot delete this message",
+        "error.invalid_reaction": "This reaction is not allowed",
+        "error.invite_not_found": "Invite not found",
+        "error.invite_expired": "This invite is no longer valid",
+        "error.invalid_invite_limits": "Invalid expiry or usage limit",
+        "error.unknown_retention": "Unknown retention policy",
+        "error.retention_out_of_range": "Allowed values: {min} to {max}",
+        "error.bad_retention_value": "Could not understand that value",
+        "error.unknown_privacy": "Unknown privacy setting",
+        "error.choose_option": "Enter the number of an option",
+        "error.server_admin_only": "Only server admins can do this",
+        "error.report_groups_only": "Only messages in groups can be reported",
+        "error.report_own_message": "You cannot report your own message",
+        "error.report_reason_required": "Choose a reason for the report",
+        "error.already_reported": "You have already reported this message",
+        "error.moderator_only": "Only moderators can do this",
+        "error.report_already_resolved": "This report has already been reviewed",
+        "error.report_not_found": "Report not found",
+        "error.unknown_action": "Unknown action",
+        "error.cannot_ban_self": "You cannot ban yourself",
+        "error.cannot_ban_moderator": "Moderators and admins can only be banned with admin.js",
+        "error.bot_limit": "No more than {max} bots",
+        "error.bot_not_found": "Bot not found",
+        "error.webhook_url_required": "Enter the webhook URL",
+        "error.webhook_url_protocol": "The URL must start with http:// or https://",
+        "error.webhook_url_invalid": "Invalid webhook URL",
+        "error.webhook_url_unresolved": "No server found at this address",
+        "error.webhook_url_private": "A webhook cannot point to a private network address",
+        "error.webhook_limit": "No more than {max} webhooks per group",
+        "error.webhook_not_found": "Webhook not found"
+    }
+};
+
+const savedLang = localStorage.getItem("lang");
+let lang = MESSAGES[savedLang] ? savedLang : (navigator.language || "").toLowerCase().startsWith("ru") ? "ru" : "en";
+
+function t(key, params = {}) {
+    const text = MESSAGES[lang][key] ?? MESSAGES.ru[key] ?? key;
+    return text.replace(/\{(\w+)\}/g, (m, name) => params[name] ?? m);
+}
+
+// wording of a value the server sends (report reason, member role...); unknown values are shown as they are
+function label(prefix, value) {
+    return MESSAGES.ru[`${prefix}.${value}`] ? t(`${prefix}.${value}`) : value;
+}
+
+// system messages store { code, params } as JSON in their text; older ones are plain text
+function systemText(text) {
+    try {
+        const { code, params } = JSON.parse(text);
+        return t(`system.${code}`, params);
+    } catch (e) {
+        return text;
+    }
+}
+
+// server errors: { event, code, params }
+function errorText(code, params = {}) {
+    if (code === "account_banned" && params.reason) return t("error.account_banned_reason", params);
+    return MESSAGES.ru[`error.${code}`] ? t(`error.${code}`, params) : t("error.unknown");
+}
+
+// static markup carries its keys in data-i18n (text), data-i18n-html, data-i18n-placeholder and data-i18n-title
+function applyTranslations() {
+    document.documentElement.lang = lang;
+    document.querySelectorAll("[data-i18n]").forEach(el => { el.textContent = t(el.dataset.i18n); });
+    document.querySelectorAll("[data-i18n-html]").forEach(el => { el.innerHTML = t(el.dataset.i18nHtml); });
+    document.querySelectorAll("[data-i18n-placeholder]").forEach(el => { el.placeholder = t(el.dataset.i18nPlaceholder); });
+    document.querySelectorAll("[data-i18n-title]").forEach(el => { el.title = t(el.dataset.i18nTitle); });
+}
+applyTranslations();
+
 // -------------------------
 // DOM REFS
 // -------------------------
@@ -25,14 +641,33 @@ const inputs = {
 
 const btns = {
     login: document.getElementById("btn-login"),
+    register: document.getElementById("btn-register"),
+    changePassword: document.getElementById("btn-change-password"),
+    privacy: document.getElementById("btn-privacy"),
+    storage: document.getElementById("btn-storage"),
+    reports: document.getElementById("btn-reports"),
+    bots: document.getElementById("btn-bots"),
+    createBot: document.getElementById("btn-create-bot"),
+    createWebhook: document.getElementById("btn-create-webhook"),
+    block: document.getElementById("btn-block"),
     createGroup: document.getElementById("btn-create-group"),
+    logout: document.getElementById("btn-logout"),
+    logoutAll: document.getElementById("btn-logout-all"),
     send: document.getElementById("btn-send"),
-    addMember: document.getElementById("btn-add-member")
+    voice: document.getElementById("btn-voice"),
+    addMember: document.getElementById("btn-add-member"),
+    retention: document.getElementById("btn-retention"),
+    members: document.getElementById("btn-members"),
+    renameChat: document.getElementById("btn-rename-chat"),
+    leaveChat: document.getElementById("btn-leave-chat"),
+    createInvite: document.getElementById("btn-create-invite")
 };
 
 const lists = {
     chat: document.getElementById("chat-list"),
     search: document.getElementById("search-results"),
+    searchUsers: document.getElementById("search-users"),
+    searchMessages: document.getElementById("search-messages"),
     msgs: document.getElementById("messages-area"),
     uploadStatus: document.getElementById("upload-status")
 };
@@ -41,11 +676,77 @@ const elements = {
     sidebar: document.querySelector(".sidebar"),
     btnBack: document.getElementById("btn-back"),
     inputArea: document.getElementById("input-area"),
-    chatTitleSpan: document.getElementById("chat-title-span")
+    chatTitleName: document.getElementById("chat-title-name"),
+    chatStatus: document.getElementById("chat-status"),
+    replyBar: document.getElementById("reply-bar"),
+    replyBarText: document.getElementById("reply-bar-text"),
+    btnCancelReply: document.getElementById("btn-cancel-reply"),
+    threadPanel: document.getElementById("thread-panel"),
+    threadMessages: document.getElementById("thread-messages"),
+    btnCloseThread: document.getElementById("btn-close-thread"),
+    membersPanel: document.getElementById("members-panel"),
+    membersList: document.getElementById("members-list"),
+    btnCloseMembers: document.getElementById("btn-close-members"),
+    invitesSection: document.getElementById("invites-section"),
+    invitesList: document.getElementById("invites-list"),
+    webhooksList: document.getElementById("webhooks-list"),
+    chatIdHint: document.getElementById("chat-id-hint"),
+    botsPanel: document.getElementById("bots-panel"),
+    botsList: document.getElementById("bots-list"),
+    btnCloseBots: document.getElementById("btn-close-bots"),
+    reportsPanel: document.getElementById("reports-panel"),
+    btnCloseReports: document.getElementById("btn-close-reports"),
+    moderationSection: document.getElementById("moderation-section"),
+    moderationQueue: document.getElementById("moderation-queue"),
+    reportContext: document.getElementById("report-context"),
+    myReports: document.getElementById("my-reports"),
+    toasts: document.getElementById("toasts")
 };
+elements.chatTitleName.textContent = t("chat.choose"); // the open chat's name later, so not data-i18n
 
 let myId = null;
 let currentChatId = null;
+let currentRetention = null;
+let myRole = null;
+let isServerAdmin = false;
+let isModerator = false;
+let storageSummary = "";
+let currentChatType = null;
+let lastMarkedReadId = null;
+
+// read/delivery state of the other members of the open chat, by user id
+const receipts = new Map();
+
+// { online, lastSeen } of people I share chats with, and who is typing in the open chat
+const presence = new Map();
+const typingUsers = new Map(); // userId -> { username, timer }
+let currentMembers = [];
+let privacySettings = { privacy: "everyone", blocked: [] };
+let typingSentAt = 0;
+let typingStopTimer = null;
+let searchTimer = null;
+let droppedForViolations = false; // the server cut us off for malformed events; reconnecting would not help
+
+// rendered messages of the open chat, for in-place updates
+const messagesById = new Map();
+const chatNames = new Map(); // chatId -> name as shown in the chat list
+
+const QUICK_REACTIONS = ["👍", "❤️", "😂", "😮", "😢", "🔥"];
+
+// invite links land here as /?invite=<token> (not logged in yet) or /?chat=<id> (already joined)
+const startParams = new URLSearchParams(location.search);
+let pendingInvite = startParams.get("invite");
+let pendingOpenChatId = startParams.get("chat");
+if (startParams.get("inviteError")) showToast(errorText(startParams.get("inviteError")), "error");
+if (location.search) history.replaceState(null, "", "/");
+
+let replyTarget = null;
+let pendingJumpId = null; // message to scroll to once older pages bring it in
+
+// history paging state of the open chat
+let oldestMessage = null;
+let hasMoreHistory = false;
+let loadingHistory = false;
 
 // =======================================================
 //                   EVENT HANDLERS
@@ -53,29 +754,50 @@ let currentChatId = null;
 
 elements.btnBack.addEventListener("click", closeChatMobile);
 
-btns.login.addEventListener("click", () => {
+btns.login.addEventListener("click", () => submitCredentials("login"));
+document.querySelectorAll(".lang-toggle").forEach(btn => btn.addEventListener("click", () => setLanguage(lang === "ru" ? "en" : "ru")));
+btns.register.addEventListener("click", () => submitCredentials("register"));
+
+function submitCredentials(event) {
     const username = inputs.user.value.trim();
     const password = inputs.pass.value.trim();
 
-    if (!username || !password) return alert("Введите данные");
+    if (!username || !password) return showToast(t("error.credentials_required"), "error");
 
-    socket.emit("login", {
+    socket.emit(event, {
         username: sanitize(username),
         password: sanitize(password)
     });
+}
+
+btns.changePassword.addEventListener("click", () => {
+    const currentPassword = prompt(t("prompt.currentPassword"));
+    if (!currentPassword) return;
+    const newPassword = prompt(t("prompt.newPassword"));
+    if (!newPassword) return;
+
+    socket.emit("change_password", {
+        currentPassword: sanitize(currentPassword.trim()),
+        newPassword: sanitize(newPassword.trim())
+    });
 });
 
+// searches once typing pauses, not on every keystroke; the server rate-limits both searches
 inputs.search.addEventListener("input", (e) => {
+    clearTimeout(searchTimer);
     const q = e.target.value.trim();
     if (!q) {
-        lists.search.classList.add("hidden");
+        hideSearch();
         return;
     }
-    socket.emit("search_users", sanitize(q));
+    searchTimer = setTimeout(() => {
+        socket.emit("search_users", sanitize(q));
+        socket.emit("search_messages", { query: q });
+    }, 300);
 });
 
 btns.createGroup.addEventListener("click", () => {
-    const name = prompt("Название группы?");
+    const name = prompt(t("prompt.groupName"));
     if (name) {
         socket.emit("create_chat", {
             isGroup: true,
@@ -84,14 +806,173 @@ btns.createGroup.addEventListener("click", () => {
     }
 });
 
+btns.logout.addEventListener("click", () => socket.emit("logout"));
+
+btns.logoutAll.addEventListener("click", () => {
+    if (confirm(t("confirm.logoutAll"))) socket.emit("logout_all");
+});
+
 btns.send.addEventListener("click", sendMessage);
 inputs.msg.addEventListener("keypress", e => {
     if (e.key === "Enter") sendMessage();
 });
 inputs.msg.addEventListener("focus", scrollToBottom);
+inputs.msg.addEventListener("input", notifyTyping);
+inputs.msg.addEventListener("blur", stopTyping);
+
+lists.msgs.addEventListener("scroll", () => {
+    if (lists.msgs.scrollTop < 80) loadOlderMessages();
+    markReadIfAtBottom();
+});
+
+document.addEventListener("visibilitychange", markReadIfAtBottom);
+
+// quote previews, and edit / delete / reply / thread buttons inside message bubbles
+lists.msgs.addEventListener("click", (e) => {
+    const quote = e.target.closest("[data-jump]");
+    if (quote) return jumpToMessage(quote.dataset.jump);
+
+    const voiceControl = e.target.closest("[data-voice]");
+    if (voiceControl) return handleVoiceControl(voiceControl, e);
+
+    const btn = e.target.closest("[data-action], [data-emoji]");
+    if (!btn) return;
+    const msg = messagesById.get(btn.closest(".message").dataset.id);
+    if (!msg) return;
+
+    // reaction chip or picker entry: toggle my reaction
+    if (btn.dataset.emoji) {
+        const emoji = btn.dataset.emoji;
+        const mine = (msg.reactions || []).some(r => r.emoji === emoji && r.userIds.includes(myId));
+        socket.emit(mine ? "remove_reaction" : "add_reaction", { messageId: msg.id, emoji });
+        btn.closest(".reaction-picker")?.remove();
+        return;
+    }
+
+    if (btn.dataset.action === "edit") {
+        // message text goes out as typed and is escaped where it is rendered
+        const text = prompt(t("prompt.editMessage"), msg.text);
+        if (text !== null && text.trim() && text.trim() !== msg.text) {
+            socket.emit("edit_message", { messageId: msg.id, text: text.trim() });
+        }
+    } else if (btn.dataset.action === "delete") {
+        if (confirm(t("confirm.deleteMessage"))) socket.emit("delete_message", { messageId: msg.id });
+    } else if (btn.dataset.action === "reply") {
+        setReplyTarget(msg);
+    } else if (btn.dataset.action === "thread") {
+        socket.emit("get_thread", { messageId: msg.id });
+    } else if (btn.dataset.action === "react") {
+        toggleReactionPicker(btn.closest(".message"));
+    } else if (btn.dataset.action === "report") {
+        reportMessage(msg);
+    }
+});
+
+elements.btnCancelReply.addEventListener("click", () => setReplyTarget(null));
+elements.btnCloseThread.addEventListener("click", () => elements.threadPanel.classList.add("hidden"));
+
+btns.members.addEventListener("click", () => {
+    renderMembers();
+    if (isAdminRole(myRole)) {
+        socket.emit("list_invites", { chatId: currentChatId });
+        socket.emit("list_webhooks", { chatId: currentChatId });
+        elements.chatIdHint.textContent = currentChatId;
+    }
+    elements.membersPanel.classList.remove("hidden");
+});
+
+btns.createInvite.addEventListener("click", () => {
+    const hours = prompt(t("prompt.inviteHours"), "24");
+    if (hours === null) return;
+    const uses = prompt(t("prompt.inviteUses"), "");
+    if (uses === null) return;
+
+    socket.emit("create_invite", {
+        chatId: currentChatId,
+        expiresInHours: hours.trim() ? Number(hours) : null,
+        maxUses: uses.trim() ? Number(uses) : null
+    });
+});
+
+elements.invitesList.addEventListener("click", (e) => {
+    const btn = e.target.closest("[data-revoke]");
+    if (btn && confirm(t("confirm.revokeInvite"))) socket.emit("revoke_invite", { token: btn.dataset.revoke });
+});
+elements.btnCloseMembers.addEventListener("click", () => elements.membersPanel.classList.add("hidden"));
+
+btns.createWebhook.addEventListener("click", () => {
+    const url = prompt(t("prompt.webhookUrl"), "https://");
+    if (url && url.trim()) socket.emit("create_webhook", { chatId: currentChatId, url: url.trim() });
+});
+
+elements.webhooksList.addEventListener("click", (e) => {
+    const btn = e.target.closest("[data-delete-webhook]");
+    if (btn && confirm(t("confirm.deleteWebhook"))) socket.emit("delete_webhook", { id: btn.dataset.deleteWebhook });
+});
+
+btns.bots.addEventListener("click", () => {
+    socket.emit("list_bots");
+    elements.botsPanel.classList.remove("hidden");
+});
+elements.btnCloseBots.addEventListener("click", () => elements.botsPanel.classList.add("hidden"));
+
+btns.createBot.addEventListener("click", () => {
+    const username = prompt(t("prompt.botName"));
+    if (username && username.trim()) socket.emit("create_bot", { username: username.trim() });
+});
+
+elements.botsList.addEventListener("click", (e) => {
+    const btn = e.target.closest("[data-bot-action]");
+    if (!btn) return;
+    const botId = btn.closest(".member-item").dataset.id;
+    if (btn.dataset.botAction === "token") {
+        if (confirm(t("confirm.regenerateToken"))) socket.emit("regenerate_bot_token", { botId });
+    } else if (confirm(t("confirm.deleteBot"))) {
+        socket.emit("delete_bot", { botId });
+    }
+});
+
+btns.renameChat.addEventListener("click", () => {
+    const name = prompt(t("prompt.renameGroup"), elements.chatTitleName.textContent);
+    if (name && currentChatId) socket.emit("rename_chat", { chatId: currentChatId, name: sanitize(name.trim()) });
+});
+
+btns.leaveChat.addEventListener("click", () => {
+    if (currentChatId && confirm(t("confirm.leaveGroup"))) socket.emit("leave_chat", { chatId: currentChatId });
+});
+
+// remove / promote / demote / transfer buttons in the member list
+elements.membersList.addEventListener("click", (e) => {
+    const btn = e.target.closest("[data-member-action]");
+    if (!btn || !currentChatId) return;
+    const userId = btn.closest(".member-item").dataset.id;
+    const payload = { chatId: currentChatId, userId };
+
+    switch (btn.dataset.memberAction) {
+        case "remove":
+            if (confirm(t("confirm.removeMember"))) socket.emit("remove_member", payload);
+            break;
+        case "promote":
+            socket.emit("promote_member", { ...payload, role: "admin" });
+            break;
+        case "demote":
+            socket.emit("promote_member", { ...payload, role: "member" });
+            break;
+        case "transfer":
+            if (confirm(t("confirm.transferOwnership"))) socket.emit("transfer_ownership", payload);
+            break;
+    }
+});
+
+elements.threadMessages.addEventListener("click", (e) => {
+    const quote = e.target.closest("[data-jump]");
+    if (!quote) return;
+    elements.threadPanel.classList.add("hidden");
+    jumpToMessage(quote.dataset.jump);
+});
 
 btns.addMember.addEventListener("click", () => {
-    const username = prompt("Кого добавить?");
+    const username = prompt(t("prompt.addMember"));
     if (username && currentChatId) {
         socket.emit("add_member_request", {
             chatId: currentChatId,
@@ -100,22 +981,141 @@ btns.addMember.addEventListener("click", () => {
     }
 });
 
+// "всегда", "500" (сообщений) или "30d" (дней)
+btns.retention.addEventListener("click", () => {
+    if (!currentChatId) return;
+    const answer = prompt(
+        t("prompt.retention"),
+        formatRetention(currentRetention)
+    );
+    if (!answer) return;
+
+    const value = answer.trim().toLowerCase();
+    let policy;
+    if (value === "всегда" || value === "forever" || value === t("retention.forever")) policy = { mode: "forever" };
+    else if (/^\d+d$/.test(value)) policy = { mode: "days", value: parseInt(value, 10) };
+    else if (/^\d+$/.test(value)) policy = { mode: "count", value: parseInt(value, 10) };
+    else return showToast(t("error.bad_retention_value"), "error");
+
+    socket.emit("set_retention", { chatId: currentChatId, ...policy });
+});
+
+const PRIVACY_MODES = ["everyone", "groups", "nobody"];
+
+btns.privacy.addEventListener("click", () => {
+    const modes = PRIVACY_MODES;
+    const blocked = privacySettings.blocked.map(u => u.username).join(", ") || t("prompt.blockedNobody");
+    const answer = prompt(
+        t("prompt.privacy") + "\n" +
+        modes.map((m, i) => `${i + 1} — ${t(`privacy.${m}`)}`).join("\n") +
+        `\n\n${t("prompt.blocked", { names: blocked })}`,
+        String(modes.indexOf(privacySettings.privacy) + 1)
+    );
+    if (!answer) return;
+
+    const privacy = modes[parseInt(answer, 10) - 1];
+    if (!privacy) return showToast(t("error.choose_option"), "error");
+    socket.emit("set_privacy", { privacy });
+});
+
+btns.storage.addEventListener("click", () => socket.emit("get_storage_usage"));
+
+btns.reports.addEventListener("click", openReportsPanel);
+elements.btnCloseReports.addEventListener("click", () => elements.reportsPanel.classList.add("hidden"));
+
+// queue entries: show in context, or resolve every report on the message
+elements.moderationQueue.addEventListener("click", (e) => {
+    const btn = e.target.closest("[data-moderate]");
+    if (!btn) return;
+    const messageId = btn.closest(".report-item").dataset.messageId;
+    const action = btn.dataset.moderate;
+
+    if (action === "context") {
+        socket.emit("get_report_context", { messageId });
+        return;
+    }
+    if (!confirm(t(`report.confirm.${action}`))) return;
+
+    let note = null;
+    if (action === "warn" || action === "ban") {
+        note = prompt(t(action === "warn" ? "prompt.warningText" : "prompt.banReason"), "");
+        if (note === null) return;
+    }
+    if (elements.reportContext.dataset.messageId === messageId) elements.reportContext.innerHTML = "";
+    socket.emit("resolve_report", { messageId, action, note });
+});
+
+// block/unblock the other side of the open private chat
+btns.block.addEventListener("click", () => {
+    const partner = privateChatPartner();
+    if (!partner) return;
+
+    if (isBlocked(partner.id)) {
+        socket.emit("unblock_user", { userId: partner.id });
+    } else if (confirm(t("confirm.blockUser", { username: partner.username }))) {
+        socket.emit("block_user", { userId: partner.id });
+    }
+});
+
 // =======================================================
 //                   SOCKET HANDLERS
 // =======================================================
 
 socket.on("login_success", (data) => {
     myId = data.userId;
+    isServerAdmin = !!data.isAdmin;
+    isModerator = !!data.isModerator;
+    saveToken(data.token);
 
     document.getElementById("my-username").innerText = data.username;
     screens.login.classList.remove("active");
     screens.chat.classList.add("active");
+
+    socket.emit("get_privacy_settings");
+
+    if (pendingInvite) {
+        socket.emit("join_by_invite", { token: pendingInvite });
+        pendingInvite = null;
+    }
+});
+
+// every failed request comes back as { event, code, params }
+socket.on("error", ({ event, code, params } = {}) => {
+    if (event === "join_chat") leaveChatView();
+    if (event === "load_messages") loadingHistory = false;
+    if (code === "too_many_violations") droppedForViolations = true;
+    showToast(errorText(code, params), "error", droppedForViolations ? 0 : 5000);
 });
 
-socket.on("login_error", (msg) => alert(msg || "Ошибка"));
+socket.on("password_changed", () => showToast(t("notice.passwordChanged")));
+
+socket.on("session_expired", () => saveToken(null));
+
+function showLoginScreen() {
+    saveToken(null);
+    myId = null;
+    closeChatMobile();
+    lists.chat.innerHTML = "";
+    lists.msgs.innerHTML = "";
+    setChatTitle(t("chat.choose"));
+    screens.chat.classList.remove("active");
+    screens.login.classList.add("active");
+}
+
+socket.on("logged_out", showLoginScreen);
+
+socket.on("banned", ({ reason } = {}) => {
+    showLoginScreen();
+    showToast(errorText("account_banned", { reason }), "error", 0);
+});
+
+// the server drops the socket on logout; come back as a fresh anonymous connection
+socket.on("disconnect", (reason) => {
+    if (reason === "io server disconnect" && !droppedForViolations) socket.connect();
+});
 
 socket.on("search_results", (users) => {
-    lists.search.innerHTML = "";
+    lists.searchUsers.innerHTML = "";
     lists.search.classList.remove("hidden");
 
     users.forEach(u => {
@@ -128,19 +1128,44 @@ socket.on("search_results", (users) => {
                 partnerId: u.id,
                 isGroup: false
             });
-            lists.search.classList.add("hidden");
-            inputs.search.value = "";
+            hideSearch();
+        };
+
+        lists.searchUsers.appendChild(d);
+    });
+});
+
+socket.on("message_search_results", ({ query, hits }) => {
+    if (query !== inputs.search.value.trim()) return; // answer to an older keystroke
+    lists.searchMessages.innerHTML = hits.length ? `<div class="search-section">${t("search.messages")}</div>` : "";
+    if (hits.length) lists.search.classList.remove("hidden");
+
+    hits.forEach(hit => {
+        const name = chatNames.get(hit.chatId) || hit.chatName;
+        const d = document.createElement("div");
+        d.className = "search-item search-hit";
+        d.innerHTML = `
+            <small>${escapeHTML(name)} · ${escapeHTML(hit.senderName)}</small>
+            <div>${highlightSnippet(hit.snippet)}</div>
+        `;
+
+        d.onclick = () => {
+            hideSearch();
+            openChat(hit.chatId, name);
+            pendingJumpId = hit.id;
         };
 
-        lists.search.appendChild(d);
+        lists.searchMessages.appendChild(d);
     });
 });
 
 socket.on("update_chat_list", (chats) => {
     lists.chat.innerHTML = "";
+    chatNames.clear();
     chats.forEach(chat => {
         const div = document.createElement("div");
         div.className = "chat-item";
+        div.dataset.id = chat.id;
 
         let name = chat.name;
 
@@ -148,50 +1173,440 @@ socket.on("update_chat_list", (chats) => {
             const other = chat.members.find(m => m.id !== myId);
             if (other) name = other.username;
         }
+        chatNames.set(chat.id, name);
 
         div.innerHTML = `
             <h4>${escapeHTML(name)}</h4>
-            <span>${chat.type === "group" ? "Группа" : "Личное"}</span>
+            <span>${t(chat.type === "group" ? "chat.group" : "chat.private")}</span>
+            ${unreadBadge(chat.id, chat.unreadCount)}
         `;
 
         if (chat.id === currentChatId) div.classList.add("active");
         div.onclick = () => openChat(chat.id, name);
 
         lists.chat.appendChild(div);
+
+        if (chat.id === pendingOpenChatId) {
+            pendingOpenChatId = null;
+            openChat(chat.id, name);
+        }
     });
 });
 
+// a new message in one chat
+socket.on("chat_unread", ({ chatId, unreadCount }) => {
+    const item = lists.chat.querySelector(`.chat-item[data-id="${CSS.escape(chatId)}"]`);
+    if (!item) return;
+    item.querySelector(".unread-badge")?.remove();
+    item.insertAdjacentHTML("beforeend", unreadBadge(chatId, unreadCount));
+});
+
+function unreadBadge(chatId, count) {
+    return count && chatId !== currentChatId ? `<b class="unread-badge">${count}</b>` : "";
+}
+
 socket.on("open_chat_force", ({ id, name }) => openChat(id, name));
 
 socket.on("chat_history", (chat) => {
     lists.msgs.innerHTML = "";
+    messagesById.clear();
+    currentChatType = chat.type;
+    receipts.clear();
+    setMembers(chat.members);
+    lastMarkedReadId = null;
     chat.messages.forEach(appendMessage);
-    scrollToBottom();
+    oldestMessage = chat.messages[0] || null;
+    hasMoreHistory = chat.hasMore;
+    loadingHistory = false;
+    if (pendingJumpId) jumpToMessage(pendingJumpId);
+    else scrollToBottom();
+
+    btns.addMember.classList.toggle("hidden", chat.type !== "group" || !isAdminRole(myRole));
+    btns.members.classList.toggle("hidden", chat.type !== "group");
+    renderBlockButton();
+
+    currentRetention = { mode: chat.retentionMode, value: chat.retentionValue };
+    btns.retention.classList.remove("hidden");
+});
 
-    if (chat.type === "group") btns.addMember.classList.remove("hidden");
-    else btns.addMember.classList.add("hidden");
+socket.on("messages_page", ({ chatId, messages, hasMore }) => {
+    if (chatId !== currentChatId) return;
+    loadingHistory = false;
+    hasMoreHistory = hasMore;
+    if (!messages.length) return;
+
+    // keep the viewport anchored on what the user was looking at
+    const prevHeight = lists.msgs.scrollHeight;
+    const first = lists.msgs.firstChild;
+    messages.forEach(msg => lists.msgs.insertBefore(renderMessage(msg), first));
+    lists.msgs.scrollTop += lists.msgs.scrollHeight - prevHeight;
+
+    oldestMessage = messages[0];
+    if (pendingJumpId) jumpToMessage(pendingJumpId);
 });
 
 socket.on("new_message", (msg) => {
     if (msg.chatId === currentChatId) {
         appendMessage(msg);
         scrollToBottom();
+        clearTyping(msg.senderId);
     }
 });
 
+socket.on("members_updated", ({ chatId, members }) => {
+    if (chatId !== currentChatId) return;
+    setMembers(members);
+    btns.addMember.classList.toggle("hidden", !isAdminRole(myRole));
+});
+
+socket.on("invite_created", ({ chatId, url }) => {
+    prompt(t("prompt.inviteLink"), location.origin + url);
+    socket.emit("list_invites", { chatId });
+});
+
+socket.on("invite_list", ({ chatId, invites }) => {
+    if (chatId !== currentChatId) return;
+    elements.invitesList.innerHTML = "";
+    invites.forEach(inv => {
+        const limits = [
+            inv.maxUses ? `${inv.uses}/${inv.maxUses}` : t("invite.uses", { uses: inv.uses }),
+            inv.expiresAt ? t("invite.until", { date: new Date(inv.expiresAt).toLocaleString(t("locale")) }) : t("invite.noExpiry")
+        ].join(", ");
+        const div = document.createElement("div");
+        div.className = "invite-item";
+        div.innerHTML = `
+            <span title="${escapeHTML(location.origin + inv.url)}">${escapeHTML(inv.url)} · ${escapeHTML(limits)}</span>
+            <button data-revoke="${escapeHTML(inv.token)}">${t("invite.revoke")}</button>
+        `;
+        elements.invitesList.appendChild(div);
+    });
+});
+
+socket.on("invite_revoked", ({ chatId }) => socket.emit("list_invites", { chatId }));
+
+socket.on("webhook_created", ({ secret }) => {
+    prompt(t("prompt.webhookSecret"), secret);
+});
+
+socket.on("webhook_list", ({ chatId, webhooks }) => {
+    if (chatId !== currentChatId) return;
+    elements.webhooksList.innerHTML = "";
+    webhooks.forEach(w => {
+        const status = w.lastDeliveryAt
+            ? `${w.lastStatus === "ok" ? t("webhook.delivered") : t("webhook.failed", { status: w.lastStatus })}, ${new Date(w.lastDeliveryAt).toLocaleString(t("locale"))}`
+            : t("webhook.neverSent");
+        const div = document.createElement("div");
+        div.className = "invite-item";
+        div.innerHTML = `
+            <span title="${escapeHTML(w.url)}">${escapeHTML(w.url)} · ${escapeHTML(status)}</span>
+            <button data-delete-webhook="${escapeHTML(w.id)}">${t("webhook.delete")}</button>
+        `;
+        elements.webhooksList.appendChild(div);
+    });
+});
+
+socket.on("bot_token", ({ username, token }) => {
+    prompt(t("prompt.botToken", { username }), token);
+});
+
+socket.on("bot_list", (bots) => {
+    elements.botsList.innerHTML = bots.length ? "" : `<div class="report-empty">${t("bots.empty")}</div>`;
+    bots.forEach(bot => {
+        const used = bot.lastUsedAt ? t("bots.lastUsed", { when: formatLastSeen(bot.lastUsedAt) }) : t("bots.neverUsed");
+        const div = document.createElement("div");
+        div.className = "member-item";
+        div.dataset.id = bot.id;
+        div.innerHTML = `
+            <span class="member-name">${escapeHTML(bot.username)}</span>
+            <span class="member-role">${escapeHTML(used)}</span>
+            <button data-bot-action="token">${t("bots.newToken")}</button>
+            <button data-bot-action="delete">${t("bots.delete")}</button>
+        `;
+        elements.botsList.appendChild(div);
+    });
+});
+
+socket.on("chat_renamed", ({ chatId, name }) => {
+    if (chatId === currentChatId) elements.chatTitleName.textContent = name;
+});
+
+socket.on("removed_from_chat", ({ chatId, chatName }) => {
+    if (chatId !== currentChatId) return;
+    leaveChatView();
+    showToast(t("notice.removedFromChat", { chatName }));
+});
+
+socket.on("presence_changed", ({ userId, online, lastSeen }) => {
+    presence.set(userId, { online, lastSeen });
+    if (receipts.has(userId)) {
+        renderChatStatus();
+        renderMembers();
+    }
+});
+
+// the server relays typing_start at most every couple of seconds; drop stale ones ourselves
+socket.on("typing", ({ chatId, userId, username, typing }) => {
+    if (chatId !== currentChatId || userId === myId) return;
+    clearTyping(userId);
+    if (typing) {
+        const timer = setTimeout(() => clearTyping(userId), 6000);
+        typingUsers.set(userId, { username, timer });
+    }
+    renderChatStatus();
+});
+
+socket.on("receipt_updated", ({ chatId, userId, ...receipt }) => {
+    if (chatId !== currentChatId || userId === myId) return;
+    receipts.set(userId, { ...receipts.get(userId), ...receipt });
+    refreshTicks();
+});
+
+socket.on("message_updated", (msg) => {
+    if (msg.chatId === currentChatId) replaceMessage(msg);
+});
+
+socket.on("message_deleted", ({ id, chatId, deletedAt }) => {
+    const msg = messagesById.get(id);
+    if (chatId === currentChatId && msg) {
+        replaceMessage({ ...msg, text: "", attachments: [], deletedAt });
+    }
+});
+
+socket.on("thread_messages", ({ chatId, root, replies }) => {
+    if (chatId !== currentChatId) return;
+    elements.threadMessages.innerHTML = "";
+    [root, ...replies].forEach(msg => {
+        const div = renderMessage(msg);
+        div.querySelector(".msg-meta")?.remove();
+        div.insertAdjacentHTML("beforeend", `<div class="msg-reply" data-jump="${escapeHTML(msg.id)}">${t("message.showInChat")}</div>`);
+        elements.threadMessages.appendChild(div);
+    });
+    elements.threadPanel.classList.remove("hidden");
+});
+
+socket.on("reaction_updated", ({ messageId, chatId, reactions }) => {
+    const msg = messagesById.get(messageId);
+    if (chatId === currentChatId && msg) replaceMessage({ ...msg, reactions });
+});
+
 socket.on("member_added", ({ username, chatName }) => {
-    alert(`${username} добавлен в "${chatName}"`);
+    showToast(t("notice.memberAdded", { username, chatName }));
+});
+
+socket.on("retention_changed", ({ chatId, mode, value }) => {
+    if (chatId === currentChatId) currentRetention = { mode, value };
+});
+
+socket.on("privacy_settings", (settings) => {
+    privacySettings = settings;
+    renderBlockButton();
+});
+
+socket.on("storage_usage", (usage) => {
+    storageSummary = t("storage.summary", { used: formatBytes(usage.used + usage.reserved), quota: formatBytes(usage.quota), files: usage.files });
+    if (isServerAdmin) socket.emit("get_storage_top");
+    else showToast(storageSummary);
 });
 
-socket.on("add_member_error", alert);
+socket.on("storage_top", (users) => {
+    const top = users.map((u, i) => `${i + 1}. ${u.username} — ${formatBytes(u.used)} (${u.files})`).join("\n");
+    showToast(`${storageSummary}\n\n${t("storage.top")}\n${top || "—"}`, "info", 10000);
+});
+
+socket.on("message_reported", () => showToast(t("notice.reportSent")));
+socket.on("my_reports", renderMyReports);
+socket.on("moderation_queue", renderModerationQueue);
+socket.on("report_context", renderReportContext);
+
+socket.on("moderation_queue_changed", () => {
+    if (isModerator && !elements.reportsPanel.classList.contains("hidden")) socket.emit("get_moderation_queue");
+});
+
+socket.on("report_resolved", ({ status }) => {
+    showToast(t("notice.reportResolved", { status: label("report.status", status) }));
+    if (!elements.reportsPanel.classList.contains("hidden")) socket.emit("get_my_reports");
+});
+
+socket.on("moderation_warnings", (warnings) => {
+    const lines = warnings.map(w => `«${w.messageText || t("message.attachment")}»${w.note ? `\n${w.note}` : ""}`);
+    showToast(`${t("notice.warnings")}\n\n${lines.join("\n\n")}`, "error", 0);
+});
+
+socket.on("moderator_status", (status) => {
+    isModerator = !!status.isModerator;
+    if (!elements.reportsPanel.classList.contains("hidden")) openReportsPanel();
+});
 
 // =======================================================
 //                    CHAT FUNCTIONS
 // =======================================================
 
+function setChatTitle(name) {
+    elements.chatTitleName.textContent = name;
+    elements.chatStatus.textContent = "";
+}
+
+// non-blocking notice in the corner; click closes it, duration 0 keeps it until then
+function showToast(text, kind = "info", duration = 5000) {
+    const div = document.createElement("div");
+    div.className = `toast ${kind}`;
+    div.textContent = text;
+    div.addEventListener("click", () => div.remove());
+    elements.toasts.appendChild(div);
+    if (duration) setTimeout(() => div.remove(), duration);
+}
+
+// re-renders everything that was built with t() in the old language
+function setLanguage(next) {
+    lang = next;
+    localStorage.setItem("lang", lang);
+    applyTranslations();
+    if (!currentChatId) setChatTitle(t("chat.choose"));
+    if (!myId) return;
+    socket.emit("request_chat_list");
+    if (currentChatId) {
+        renderChatStatus();
+        renderMembers();
+        renderBlockButton();
+        messagesById.forEach(replaceMessage);
+    }
+}
+
+// "X печатает…", otherwise online / last seen of the partner, or the member count of a group
+function renderChatStatus() {
+    if (!currentChatId) return;
+
+    const typing = [...typingUsers.values()].map(u => u.username);
+    if (typing.length) {
+        elements.chatStatus.textContent = t(typing.length > 1 ? "chat.typingMany" : "chat.typingOne", { names: typing.join(", ") });
+        return;
+    }
+
+    if (currentChatType === "private") {
+        const partnerId = receipts.keys().next().value;
+        const p = presence.get(partnerId);
+        if (p && p.online) elements.chatStatus.textContent = t("chat.online");
+        else if (p && p.lastSeen) elements.chatStatus.textContent = t("chat.lastSeen", { when: formatLastSeen(p.lastSeen) });
+        else elements.chatStatus.textContent = "";
+    } else {
+        elements.chatStatus.textContent = t("chat.memberCount", { count: currentMembers.length });
+    }
+}
+
+function isAdminRole(role) {
+    return role === "owner" || role === "admin";
+}
+
+// members of the open chat: feeds receipts, presence, my role and the members panel
+function setMembers(members) {
+    currentMembers = members;
+    const me = members.find(m => m.id === myId);
+    myRole = me ? me.role : null;
+
+    members.forEach(m => {
+        if (m.id === myId) return;
+        receipts.set(m.id, { ...receipts.get(m.id), ...m });
+        presence.set(m.id, { online: m.online, lastSeen: m.lastSeen });
+    });
+
+    renderChatStatus();
+    renderMembers();
+}
+
+function privateChatPartner() {
+    if (currentChatType !== "private") return null;
+    return currentMembers.find(m => m.id !== myId) || null;
+}
+
+function isBlocked(userId) {
+    return privacySettings.blocked.some(u => u.id === userId);
+}
+
+function renderBlockButton() {
+    const partner = privateChatPartner();
+    btns.block.classList.toggle("hidden", !partner);
+    if (!partner) return;
+    const blocked = isBlocked(partner.id);
+    btns.block.classList.toggle("active", blocked);
+    btns.block.title = t(blocked ? "chat.unblock" : "chat.block");
+}
+
+function renderMembers() {
+    elements.membersList.innerHTML = "";
+    currentMembers.forEach(m => {
+        const div = document.createElement("div");
+        div.className = "member-item";
+        div.dataset.id = m.id;
+
+        const p = presence.get(m.id);
+        const online = m.id === myId || (p && p.online);
+        let html = `
+            <span class="online-dot${online ? " online" : ""}"></span>
+            <span class="member-name">${escapeHTML(m.username)}</span>
+            <span class="member-role">${m.role === "member" ? "" : escapeHTML(label("role", m.role))}</span>
+        `;
+
+        if (m.id !== myId) {
+            if (myRole === "owner") {
+                html += m.role === "admin"
+                    ? `<button data-member-action="demote" title="${t("member.demote")}">⬇</button>`
+                    : `<button data-member-action="promote" title="${t("member.promote")}">⬆</button>`;
+                html += `<button data-member-action="transfer" title="${t("member.transfer")}">👑</button>`;
+            }
+            if (myRole === "owner" || (myRole === "admin" && m.role === "member")) {
+                html += `<button data-member-action="remove" title="${t("member.remove")}">✕</button>`;
+            }
+        }
+
+        div.innerHTML = html;
+        elements.membersList.appendChild(div);
+    });
+
+    btns.renameChat.classList.toggle("hidden", !isAdminRole(myRole));
+    elements.invitesSection.classList.toggle("hidden", !isAdminRole(myRole));
+}
+
+function formatLastSeen(iso) {
+    const d = new Date(iso);
+    const time = d.toLocaleTimeString(t("locale"), { hour: "2-digit", minute: "2-digit" });
+    if (d.toDateString() === new Date().toDateString()) return t("time.today", { time });
+    return t("time.onDate", { date: d.toLocaleDateString(t("locale")), time });
+}
+
+function clearTyping(userId) {
+    const t = typingUsers.get(userId);
+    if (!t) return;
+    clearTimeout(t.timer);
+    typingUsers.delete(userId);
+    renderChatStatus();
+}
+
+// typing_start at most every 2s while keys are pressed, typing_stop after 3s of quiet
+function notifyTyping() {
+    if (!currentChatId) return;
+    if (Date.now() - typingSentAt > 2000) {
+        typingSentAt = Date.now();
+        socket.emit("typing_start", { chatId: currentChatId });
+    }
+    clearTimeout(typingStopTimer);
+    typingStopTimer = setTimeout(stopTyping, 3000);
+}
+
+function stopTyping() {
+    clearTimeout(typingStopTimer);
+    if (!typingSentAt || !currentChatId) return;
+    typingSentAt = 0;
+    socket.emit("typing_stop", { chatId: currentChatId });
+}
+
 function openChat(chatId, name) {
+    stopTyping();
+    typingUsers.forEach(t => clearTimeout(t.timer));
+    typingUsers.clear();
     currentChatId = chatId;
-    elements.chatTitleSpan.innerText = name;
+    hasMoreHistory = false;
+    pendingJumpId = null;
+    setChatTitle(name);
 
     elements.sidebar.classList.add("hidden-on-mobile");
     elements.inputArea.classList.remove("hidden");
@@ -200,6 +1615,86 @@ function openChat(chatId, name) {
     socket.emit("join_chat", chatId);
 }
 
+// scrolls to a message of the open chat, paging older history in until it shows up
+function jumpToMessage(id) {
+    const el = lists.msgs.querySelector(`.message[data-id="${CSS.escape(id)}"]`);
+    if (el) {
+        pendingJumpId = null;
+        el.scrollIntoView({ block: "center" });
+        el.classList.add("highlight");
+        setTimeout(() => el.classList.remove("highlight"), 1500);
+        return;
+    }
+
+    pendingJumpId = hasMoreHistory ? id : null;
+    loadOlderMessages();
+}
+
+function toggleReactionPicker(bubble) {
+    const open = bubble.querySelector(".reaction-picker");
+    if (open) return open.remove();
+
+    const picker = document.createElement("div");
+    picker.className = "reaction-picker";
+    picker.innerHTML = QUICK_REACTIONS.map(e => `<button data-emoji="${e}">${e}</button>`).join("");
+    bubble.appendChild(picker);
+}
+
+function setReplyTarget(msg) {
+    replyTarget = msg;
+    if (msg) {
+        elements.replyBarText.textContent = `${msg.senderName}: ${msg.text || t("message.attachment")}`;
+        elements.replyBar.classList.remove("hidden");
+        inputs.msg.focus();
+    } else {
+        elements.replyBar.classList.add("hidden");
+    }
+}
+
+function loadOlderMessages() {
+    if (!currentChatId || !hasMoreHistory || loadingHistory || !oldestMessage) return;
+    loadingHistory = true;
+
+    socket.emit("load_messages", {
+        chatId: currentChatId,
+        before: { timestamp: oldestMessage.timestamp, id: oldestMessage.id }
+    });
+}
+
+// tells the server the newest message is read once it is actually on screen
+function markReadIfAtBottom() {
+    if (!currentChatId || document.hidden) return;
+    const atBottom = lists.msgs.scrollTop + lists.msgs.clientHeight >= lists.msgs.scrollHeight - 20;
+    const last = lists.msgs.lastElementChild;
+    if (!atBottom || !last || last.dataset.id === lastMarkedReadId) return;
+
+    lastMarkedReadId = last.dataset.id;
+    socket.emit("mark_read", { chatId: currentChatId, messageId: last.dataset.id });
+}
+
+// ✓ sent, ✓✓ delivered, blue ✓✓ read — private chats only
+function ticksFor(msg) {
+    const partner = receipts.values().next().value;
+    if (!partner) return "✓";
+    if (partner.lastReadAt && partner.lastReadAt >= msg.timestamp) return `<span class="read">✓✓</span>`;
+    if (partner.lastDeliveredAt && partner.lastDeliveredAt >= msg.timestamp) return "✓✓";
+    return "✓";
+}
+
+function refreshTicks() {
+    lists.msgs.querySelectorAll(".msg-ticks").forEach(el => {
+        const msg = messagesById.get(el.closest(".message").dataset.id);
+        if (msg) el.innerHTML = ticksFor(msg);
+    });
+}
+
+// back to "select a chat" after the open chat went away
+function leaveChatView() {
+    closeChatMobile();
+    lists.msgs.innerHTML = "";
+    setChatTitle(t("chat.choose"));
+}
+
 function closeChatMobile() {
     currentChatId = null;
 
@@ -207,40 +1702,202 @@ function closeChatMobile() {
     elements.inputArea.classList.add("hidden");
     elements.btnBack.classList.add("hidden");
     btns.addMember.classList.add("hidden");
+    btns.retention.classList.add("hidden");
+    elements.threadPanel.classList.add("hidden");
+    elements.membersPanel.classList.add("hidden");
+    btns.members.classList.add("hidden");
+    btns.block.classList.add("hidden");
+    setReplyTarget(null);
+}
+
+function formatRetention(policy) {
+    if (!policy || policy.mode === "forever") return t("retention.forever");
+    return policy.mode === "days" ? `${policy.value}d` : String(policy.value);
+}
+
+function hideSearch() {
+    lists.search.classList.add("hidden");
+    lists.searchUsers.innerHTML = "";
+    lists.searchMessages.innerHTML = "";
+    inputs.search.value = "";
 }
 
 function scrollToBottom() {
     setTimeout(() => {
         lists.msgs.scrollTop = lists.msgs.scrollHeight;
+        markReadIfAtBottom();
     }, 50);
 }
 
 // ======================= MESSAGE RENDERER =======================
 
 function appendMessage(msg) {
+    lists.msgs.appendChild(renderMessage(msg));
+}
+
+function replaceMessage(msg) {
+    const old = lists.msgs.querySelector(`.message[data-id="${CSS.escape(msg.id)}"]`);
+    if (old) old.replaceWith(renderMessage(msg));
+}
+
+function renderMessage(msg) {
     const div = document.createElement("div");
     const isMe = msg.senderId === myId;
+    const isSystem = msg.senderId === "system";
 
+    messagesById.set(msg.id, msg);
     div.className = `message ${isMe ? "my" : "other"}`;
+    div.dataset.id = msg.id;
+
+    let html = `<span class="msg-sender">${escapeHTML(isSystem ? t("system.sender") : msg.senderName)}</span>`;
 
-    let html = `<span class="msg-sender">${escapeHTML(msg.senderName)}</span>`;
+    if (msg.replyTo) {
+        const quote = msg.replyTo.deleted ? t("message.deleted") : msg.replyTo.text;
+        html += `<div class="msg-reply" data-jump="${escapeHTML(msg.replyTo.id)}"><b>${escapeHTML(msg.replyTo.senderName)}</b> ${escapeHTML(quote)}</div>`;
+    }
+
+    if (msg.deletedAt) {
+        div.innerHTML = html + `<div class="msg-deleted">${t("message.deleted")}</div>`;
+        return div;
+    }
 
-    if (msg.text) html += `<div>${escapeHTML(msg.text)}</div>`;
+    const text = isSystem ? systemText(msg.text) : msg.text;
+    if (text) html += `<div>${escapeHTML(text)}</div>`;
 
-    if (msg.filePath) {
-        const safeURL = sanitizeURL(msg.filePath);
+    (msg.attachments || []).forEach(file => {
+        const safeURL = sanitizeURL(file.filePath);
 
-        if (msg.fileMime.startsWith("image/")) {
-            html += `<img src="${safeURL}" class="msg-img">`;
-        } else if (msg.fileMime.startsWith("video/")) {
-            html += `<video src="${safeURL}" controls class="msg-video"></video>`;
+        // the thumbnail shows in the chat; the original opens on click
+        if (file.fileMime.startsWith("image/")) {
+            const thumbURL = file.thumbPath ? sanitizeURL(file.thumbPath) : safeURL;
+            html += `<a href="${safeURL}" target="_blank" class="msg-img-link"><img src="${thumbURL}" class="msg-img" loading="lazy" style="${imageBoxStyle(file)}"></a>`;
+        } else if (file.fileMime.startsWith("video/")) {
+            html += `<video src="${safeURL}" controls preload="metadata" class="msg-video"></video>`;
+        } else if (file.fileMime.startsWith("audio/")) {
+            html += renderVoicePlayer(file, safeURL);
         } else {
-            html += `<a href="${safeURL}" target="_blank" class="msg-file">📄 ${escapeHTML(msg.fileOriginal)}</a>`;
+            html += `<a href="${safeURL}" target="_blank" class="msg-file">📄 ${escapeHTML(file.fileOriginal)}</a>`;
         }
+    });
+
+    if (msg.reactions && msg.reactions.length) {
+        html += `<div class="msg-reactions">`;
+        msg.reactions.forEach(r => {
+            const mine = r.userIds.includes(myId) ? " mine" : "";
+            html += `<button class="reaction${mine}" data-emoji="${escapeHTML(r.emoji)}">${escapeHTML(r.emoji)} ${r.count}</button>`;
+        });
+        html += `</div>`;
+    }
+
+    if (!isSystem) {
+        const canDelete = isMe || myRole === "owner" || myRole === "admin";
+        html += `<div class="msg-meta">`;
+        if (msg.editedAt) html += `<span class="msg-edited">${t("message.edited")}</span>`;
+        html += `<button data-action="react" title="${t("message.react")}">🙂</button>`;
+        html += `<button data-action="reply" title="${t("message.reply")}">↩</button>`;
+        html += `<button data-action="thread" title="${t("message.thread")}">🧵</button>`;
+        if (isMe) html += `<button data-action="edit" title="${t("message.edit")}">✎</button>`;
+        if (canDelete) html += `<button data-action="delete" title="${t("message.delete")}">🗑</button>`;
+        if (!isMe && currentChatType === "group") html += `<button data-action="report" title="${t("message.report")}">⚑</button>`;
+        if (isMe && currentChatType === "private") html += `<span class="msg-ticks">${ticksFor(msg)}</span>`;
+        html += `</div>`;
     }
 
     div.innerHTML = html;
-    lists.msgs.appendChild(div);
+    return div;
+}
+
+// =========================== UPLOADS ===========================
+let uploadConfigRequest = null;
+
+// size limits and accepted types, as the server enforces them
+function getUploadConfig() {
+    uploadConfigRequest = uploadConfigRequest || fetch("/upload/config").then(r => r.json());
+    return uploadConfigRequest;
+}
+getUploadConfig().then(c => { inputs.file.accept = c.allowedTypes.join(","); }).catch(() => {});
+
+async function uploadRequest(url, options = {}) {
+    const r = await fetch(url, {
+        ...options,
+        headers: { "Authorization": "Bearer " + localStorage.getItem("token"), ...options.headers }
+    });
+    const body = await r.json().catch(() => ({}));
+    if (!r.ok) {
+        const { code, params } = body.error || {};
+        throw Object.assign(new Error(code || "upload failed"), { status: r.status, code, params });
+    }
+    return body;
+}
+
+async function sha256Hex(file) {
+    const digest = await crypto.subtle.digest("SHA-256", await file.arrayBuffer());
+    return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, "0")).join("");
+}
+
+// network errors and 5xx are retried with backoff; 4xx mean the request itself is wrong
+async function withRetries(fn, attempts = 4) {
+    for (let i = 1; ; i++) {
+        try {
+            return await fn();
+        } catch (e) {
+            if (i >= attempts || (e.status && e.status < 500)) throw e;
+            await new Promise(r => setTimeout(r, 1000 * 2 ** (i - 1)));
+        }
+    }
+}
+
+// unfinished uploads by file checksum, so a retry after a reload continues where it stopped
+const RESUMABLE_KEY = "resumableUploads";
+
+function rememberUpload(key, id) {
+    const pending = JSON.parse(localStorage.getItem(RESUMABLE_KEY) || "{}");
+    if (id) pending[key] = id;
+    else delete pending[key];
+    localStorage.setItem(RESUMABLE_KEY, JSON.stringify(pending));
+}
+
+async function uploadFile(file, onProgress) {
+    // hashing needs a secure context (https or localhost); elsewhere fall back to a one-shot upload
+    if (!window.crypto || !crypto.subtle) {
+        const form = new FormData();
+        form.append("file", file);
+        return uploadRequest("/upload", { method: "POST", body: form });
+    }
+
+    const sha256 = await sha256Hex(file);
+    const key = `${sha256}:${file.size}`;
+    const knownId = JSON.parse(localStorage.getItem(RESUMABLE_KEY) || "{}")[key];
+
+    let status = knownId ? await uploadRequest(`/upload/sessions/${knownId}`).catch(() => null) : null;
+    if (!status) {
+        status = await uploadRequest("/upload/sessions", {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify({ name: file.name, size: file.size, mimeType: file.type, sha256 })
+        });
+        rememberUpload(key, status.id);
+    }
+
+    const received = new Set(status.received);
+    onProgress(received.size / status.totalChunks);
+    for (let i = 0; i < status.totalChunks; i++) {
+        if (received.has(i)) continue;
+        const chunk = file.slice(i * status.chunkSize, (i + 1) * status.chunkSize);
+        await withRetries(() => uploadRequest(`/upload/sessions/${status.id}/chunks/${i}`, {
+            method: "PUT",
+            headers: { "Content-Type": "application/octet-stream" },
+            body: chunk
+        }));
+        received.add(i);
+        onProgress(received.size / status.totalChunks);
+    }
+
+    try {
+        return await withRetries(() => uploadRequest(`/upload/sessions/${status.id}/finalize`, { method: "POST" }));
+    } finally {
+        rememberUpload(key, null);
+    }
 }
 
 // ========================= SECURE SEND =========================
@@ -251,58 +1908,279 @@ async function sendMessage() {
     if (!currentChatId || sending) return;
     sending = true;
 
-    const text = sanitize(inputs.msg.value.trim());
-    const file = inputs.file.files[0];
-    let fileData = null;
+    const text = inputs.msg.value.trim(); // escaped by renderMessage, the server caps the length
+    const files = Array.from(inputs.file.files);
+    const attachmentIds = [];
 
-    if (!text && !file) {
+    if (!text && !files.length) {
         sending = false;
         return;
     }
 
-    if (file) {
-        if (file.size > 40 * 1024 * 1024) {
-            alert("Файл больше 40MB");
+    try {
+        const config = await getUploadConfig();
+        const tooBig = files.find(f => f.size > config.maxFileSize);
+        const wrongType = files.find(f => !config.allowedTypes.includes(f.type));
+        let problem = null;
+        if (files.length > config.maxAttachments) problem = t("upload.tooManyFiles", { max: config.maxAttachments });
+        else if (tooBig) problem = t("upload.tooBig", { name: tooBig.name, size: Math.round(config.maxFileSize / 1024 / 1024) });
+        else if (wrongType) problem = t("upload.wrongType", { name: wrongType.name });
+        if (problem) {
+            showToast(problem, "error");
             sending = false;
             return;
         }
 
-        const form = new FormData();
-        form.append("file", file);
-
-        try {
-            lists.uploadStatus.textContent = "Загрузка...";
-
-            const r = await fetch("/upload", {
-                method: "POST",
-                body: form
+        for (const [n, file] of files.entries()) {
+            const progress = files.length > 1 ? t("upload.progressOf", { n: n + 1, total: files.length }) : t("upload.progress");
+            lists.uploadStatus.textContent = `${progress}...`;
+            const result = await uploadFile(file, (part) => {
+                lists.uploadStatus.textContent = `${progress}: ${Math.floor(part * 100)}%`;
             });
-
-            fileData = await r.json();
-        } catch {
-            alert("Ошибка загрузки файла");
-            sending = false;
-            return;
-        } finally {
-            lists.uploadStatus.textContent = "";
+            attachmentIds.push(result.id);
         }
+    } catch (e) {
+        showToast(e.code ? errorText(e.code, e.params) : t("upload.failed"), "error");
+        sending = false;
+        return;
+    } finally {
+        lists.uploadStatus.textContent = "";
     }
 
-    socket.emit("send_message", {
-        chatId: currentChatId,
-        text,
-        fileData
-    });
+    postMessage(currentChatId, text, attachmentIds);
 
     inputs.msg.value = "";
     inputs.file.value = "";
     sending = false;
 }
 
+function postMessage(chatId, text, attachmentIds) {
+    const replyToId = replyTarget && chatId === currentChatId ? replyTarget.id : null;
+    stopTyping();
+    socket.emit("send_message", { chatId, text, attachmentIds, replyToId });
+    if (replyToId) setReplyTarget(null);
+}
+
+// ========================= VOICE NOTES =========================
+const VOICE_MAX_MS = 5 * 60 * 1000;
+const VOICE_SPEEDS = [1, 1.5, 2];
+let recorder = null;
+
+// first click starts recording, the second one stops and sends it to the chat it was started in
+btns.voice.addEventListener("click", async () => {
+    if (recorder) return recorder.stop();
+    if (!currentChatId) return;
+    if (!navigator.mediaDevices || !window.MediaRecorder) return showToast(t("voice.unsupported"), "error");
+
+    let stream;
+    try {
+        stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+    } catch {
+        return showToast(t("voice.noMicrophone"), "error");
+    }
+
+    const chatId = currentChatId;
+    const chunks = [];
+    recorder = new MediaRecorder(stream);
+    const limitTimer = setTimeout(() => recorder.stop(), VOICE_MAX_MS);
+
+    recorder.ondataavailable = (e) => chunks.push(e.data);
+    recorder.onstop = () => {
+        clearTimeout(limitTimer);
+        stream.getTracks().forEach(t => t.stop());
+        const type = (recorder.mimeType || "audio/webm").split(";")[0];
+        recorder = null;
+        btns.voice.classList.remove("recording");
+
+        const ext = type === "audio/mp4" ? "m4a" : type.split("/")[1];
+        sendVoiceNote(chatId, new File(chunks, `voice-${Date.now()}.${ext}`, { type }));
+    };
+
+    recorder.start();
+    btns.voice.classList.add("recording");
+});
+
+async function sendVoiceNote(chatId, file) {
+    try {
+        lists.uploadStatus.textContent = `${t("voice.progress")}...`;
+        const result = await uploadFile(file, (part) => {
+            lists.uploadStatus.textContent = `${t("voice.progress")}: ${Math.floor(part * 100)}%`;
+        });
+        postMessage(chatId, "", [result.id]);
+    } catch (e) {
+        showToast(e.code ? errorText(e.code, e.params) : t("voice.failed"), "error");
+    } finally {
+        lists.uploadStatus.textContent = "";
+    }
+}
+
+function renderVoicePlayer(file, url) {
+    const bars = Array.isArray(file.waveform) && file.waveform.length ? file.waveform : new Array(40).fill(30);
+    const duration = Number(file.duration) || 0;
+    return `
+        <div class="voice" data-duration="${duration}">
+            <button class="voice-play" data-voice="play" title="${t("voice.play")}">▶</button>
+            <div class="voice-wave" data-voice="seek">${bars.map(v => `<span style="height: ${Math.max(8, Math.min(100, Number(v) || 0))}%"></span>`).join("")}</div>
+            <span class="voice-time">${formatDuration(duration)}</span>
+            <button class="voice-speed" data-voice="speed" title="${t("voice.speed")}">1x</button>
+            <audio src="${url}" preload="none"></audio>
+        </div>`;
+}
+
+function handleVoiceControl(control, e) {
+    const player = control.closest(".voice");
+    const audio = player.querySelector("audio");
+
+    if (control.dataset.voice === "play") {
+        if (!audio.paused) return audio.pause();
+        lists.msgs.querySelectorAll(".voice audio").forEach(a => { if (a !== audio) a.pause(); });
+        audio.play().catch(() => {});
+    } else if (control.dataset.voice === "speed") {
+        const next = VOICE_SPEEDS[(VOICE_SPEEDS.indexOf(audio.playbackRate) + 1) % VOICE_SPEEDS.length];
+        audio.playbackRate = next;
+        control.textContent = `${next}x`;
+    } else {
+        // recorder webm often reports an infinite duration, so the server's value comes first
+        const total = Number(player.dataset.duration) || audio.duration;
+        const rect = control.getBoundingClientRect();
+        if (total && isFinite(total) && rect.width) audio.currentTime = (e.clientX - rect.left) / rect.width * total;
+    }
+}
+
+// media events do not bubble, so the players are followed from the capture phase
+["play", "pause", "ended", "timeupdate"].forEach(type => {
+    lists.msgs.addEventListener(type, (e) => {
+        if (e.target.tagName === "AUDIO" && e.target.closest(".voice")) updateVoicePlayer(e.target, type);
+    }, true);
+});
+
+function updateVoicePlayer(audio, eventType) {
+    const player = audio.closest(".voice");
+    const total = Number(player.dataset.duration) || (isFinite(audio.duration) ? audio.duration : 0);
+    if (eventType === "ended") audio.currentTime = 0;
+
+    const bars = player.querySelectorAll(".voice-wave span");
+    const played = total ? audio.currentTime / total * bars.length : 0;
+    bars.forEach((bar, i) => bar.classList.toggle("played", i < played));
+
+    player.querySelector(".voice-play").textContent = audio.paused ? "▶" : "⏸";
+    player.querySelector(".voice-time").textContent = formatDuration(audio.currentTime || total);
+}
+
+function formatBytes(bytes) {
+    if (bytes < 1024 * 1024) return `${Math.ceil(bytes / 1024)} KB`;
+    if (bytes < 1024 * 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+    return `${(bytes / 1024 / 1024 / 1024).toFixed(2)} GB`;
+}
+
+function formatDuration(seconds) {
+    const s = Math.round(seconds);
+    return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, "0")}`;
+}
+
+// =========================== REPORTS ===========================
+
+const REPORT_REASONS = ["spam", "abuse", "illegal", "other"];
+
+function reportMessage(msg) {
+    const reasons = REPORT_REASONS;
+    const answer = prompt(
+        t("prompt.reportReason") + "\n" + reasons.map((r, i) => `${i + 1} — ${t(`report.reason.${r}`)}`).join("\n"),
+        "1"
+    );
+    if (!answer) return;
+
+    const reason = reasons[parseInt(answer, 10) - 1];
+    if (!reason) return showToast(t("error.choose_option"), "error");
+    const comment = prompt(t("prompt.reportComment"), "");
+    if (comment === null) return;
+    socket.emit("report_message", { messageId: msg.id, reason, comment: comment.trim() });
+}
+
+function openReportsPanel() {
+    elements.reportContext.innerHTML = "";
+    elements.moderationSection.classList.toggle("hidden", !isModerator);
+    socket.emit("get_my_reports");
+    if (isModerator) socket.emit("get_moderation_queue");
+    elements.reportsPanel.classList.remove("hidden");
+}
+
+function reasonsText(reasons) {
+    return reasons.split(",").map(r => label("report.reason", r)).join(", ");
+}
+
+function renderMyReports(reports) {
+    elements.myReports.innerHTML = reports.length ? "" : `<div class="report-empty">${t("report.mineEmpty")}</div>`;
+    reports.forEach(r => {
+        const div = document.createElement("div");
+        div.className = "report-item";
+        div.innerHTML = `
+            <div class="report-text">${escapeHTML(r.messageText || t("message.attachment"))}</div>
+            <div class="report-info">${escapeHTML(r.chatName || "")} · ${escapeHTML(label("report.reason", r.reason))}</div>
+            <div class="report-status ${r.status}">${escapeHTML(label("report.status", r.status))}</div>
+        `;
+        elements.myReports.appendChild(div);
+    });
+}
+
+function renderModerationQueue(queue) {
+    elements.moderationQueue.innerHTML = queue.length ? "" : `<div class="report-empty">${t("report.queueEmpty")}</div>`;
+    queue.forEach(entry => {
+        const div = document.createElement("div");
+        div.className = "report-item";
+        div.dataset.messageId = entry.messageId;
+        div.innerHTML = `
+            <div class="report-info"><b>${escapeHTML(entry.senderName || t("report.deletedUser"))}</b> ${escapeHTML(t("report.inChat", { chat: entry.chatName || "" }))} · ${escapeHTML(t("report.count", { count: entry.reportCount }))}</div>
+            <div class="report-text">${escapeHTML(entry.messageText || t("message.attachment"))}</div>
+            <div class="report-info">${escapeHTML(reasonsText(entry.reasons || ""))}</div>
+            <div class="report-actions">
+                <button data-moderate="context">${t("report.context")}</button>
+                <button data-moderate="dismiss">${t("report.dismiss")}</button>
+                <button data-moderate="delete">${t("report.delete")}</button>
+                <button data-moderate="warn">${t("report.warn")}</button>
+                <button data-moderate="ban">${t("report.ban")}</button>
+            </div>
+        `;
+        elements.moderationQueue.appendChild(div);
+    });
+}
+
+// the reported message among its neighbours, with what each reporter said
+function renderReportContext({ messageId, chatName, reports, messages }) {
+    const box = elements.reportContext;
+    box.dataset.messageId = messageId;
+    box.innerHTML = `<div class="panel-subheader">${escapeHTML(t("report.contextOf", { chat: chatName || "" }))}</div>`;
+
+    reports.forEach(r => {
+        const div = document.createElement("div");
+        div.className = "report-info";
+        div.innerHTML = `<b>${escapeHTML(r.reporterName || "?")}</b>: ${escapeHTML(label("report.reason", r.reason))}${r.comment ? ` — ${escapeHTML(r.comment)}` : ""}`;
+        box.appendChild(div);
+    });
+
+    messages.forEach(msg => {
+        const div = renderMessage(msg);
+        div.querySelector(".msg-meta")?.remove();
+        if (msg.id === messageId) div.classList.add("highlight");
+        box.appendChild(div);
+    });
+}
+
 // =======================================================
 //                 SECURITY HELPERS
 // =======================================================
 
+// keeps the token for socket reconnects and mirrors it into a cookie for /uploads/* requests
+function saveToken(token) {
+    if (token) {
+        localStorage.setItem("token", token);
+        document.cookie = `session=${encodeURIComponent(token)}; path=/; SameSite=Strict`;
+    } else {
+        localStorage.removeItem("token");
+        document.cookie = "session=; path=/; max-age=0; SameSite=Strict";
+    }
+}
+
 function escapeHTML(str) {
     return str.replace(/[&<>"']/g, m => ({
         "&": "&amp;",
@@ -313,10 +2191,27 @@ function escapeHTML(str) {
     }[m]));
 }
 
+// search snippets come with \x02 / \x03 around the matched words
+function highlightSnippet(snippet) {
+    return escapeHTML(snippet).replace(/\x02/g, "<mark>").replace(/\x03/g, "</mark>");
+}
+
 function sanitize(str) {
     return escapeHTML(String(str)).slice(0, 200);
 }
 
+// reserves the preview's final size and paints the placeholder until the thumbnail arrives
+function imageBoxStyle(file) {
+    const w = Number(file.width), h = Number(file.height);
+    if (!w || !h) return "";
+
+    let style = `width: ${Math.round(Math.min(w, 250 * w / h))}px; aspect-ratio: ${w} / ${h};`;
+    if (/^data:image\/webp;base64,[A-Za-z0-9+/=]+$/.test(file.placeholder || "")) {
+        style += ` background-image: url(${file.placeholder});`;
+    }
+    return style;
+}
+
 function sanitizeURL(url) {
     if (!url.startsWith("/uploads/")) return "#";
     return url.replace(/[\s<>"]/g, "");
@@ -1,39 +1,161 @@
 // server.js
 const express = require('express');
 const http = require('http');
+const https = require('https');
+const dns = require('dns');
+const net = require('net');
 const { Server } = require('socket.io');
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const { spawn } = require('child_process');
 const multer = require('multer');
 const { v4: uuidv4 } = require('uuid');
-const Database = require('better-sqlite3');
 const bcrypt = require('bcrypt');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
+const proxyaddr = require('proxy-addr');
+const sharp = require('sharp');
+const {
+  db,
+  stmt,
+  UPLOAD_DIR,
+  PARTIAL_UPLOAD_DIR,
+  HOST_ID,
+  BCRYPT_ROUNDS,
+  checkPassword,
+  removeUploadFile,
+  deleteMessagesWithAttachments,
+  tombstoneMessages
+} = require('./db');
+const { setupAdapter } = require('./adapter');
 
 const app = express();
 const server = http.createServer(app);
-const io = new Server(server, { maxHttpBufferSize: 50 * 1024 * 1024 });
+const io = new Server(server, { maxHttpBufferSize: 100 * 1024 }); // files go over HTTP, events only carry text and ids
 
 /* --------------------------
    Config
    -------------------------- */
 const PORT = process.env.PORT || 3000;
-const UPLOAD_DIR = path.join(__dirname, 'uploads');
-const DB_FILE = path.join(__dirname, 'db.sqlite');
-const MESSAGE_LIMIT_PER_CHAT = 2000; // держать не более N сообщений на чат
-
-// Ensure upload dir exists
-if (!fs.existsSync(UPLOAD_DIR)) fs.mkdirSync(UPLOAD_DIR, { recursive: true });
+const RETENTION_SWEEP_INTERVAL_MS = 10 * 60 * 1000;
+const RETENTION_LIMITS = { count: { min: 10, max: 100000 }, days: { min: 1, max: 3650 } };
+const MAX_ATTACHMENTS_PER_MESSAGE = 10;
+// served to the client from /upload/config, so both sides agree on them
+const UPLOAD_LIMITS = {
+  maxFileSize: 40 * 1024 * 1024, // 40 MB
+  chunkSize: 1024 * 1024, // resumable uploads are sent in parts of this size
+  maxAttachments: MAX_ATTACHMENTS_PER_MESSAGE
+};
+const UPLOAD_STALE_MS = 24 * 60 * 60 * 1000; // unfinished resumable uploads are dropped after this
+const STORAGE_QUOTA_BYTES = (Number(process.env.STORAGE_QUOTA_MB) || 1024) * 1024 * 1024; // per user
+const UNATTACHED_GRACE_MS = 24 * 60 * 60 * 1000; // uploads never sent in a message are collected after this
+const STORAGE_GC_INTERVAL_MS = 60 * 60 * 1000;
+// server administrators (storage overview); comma-separated usernames
+const ADMIN_USERNAMES = (process.env.ADMIN_USERNAMES || '').split(',').map(s => s.trim()).filter(Boolean);
+const THUMBNAIL_SIZE = 480; // px, longest side of image previews
+const PLACEHOLDER_SIZE = 16; // px, inline preview shown while the thumbnail loads
+const IMAGE_MAX_PIXELS = 50 * 1000 * 1000;
+const FFMPEG_PATH = process.env.FFMPEG_PATH || 'ffmpeg'; // optional; without it audio/video get no duration or waveform
+const MEDIA_PROBE_TIMEOUT_MS = 30 * 1000;
+const WAVEFORM_BARS = 64;
+const HISTORY_PAGE_SIZE = 50; // сообщений в chat_history и по умолчанию в load_messages
+const HISTORY_PAGE_MAX = 100;
+const THREAD_MAX_MESSAGES = 500;
+const EMOJI_PATTERN = /^(?:\p{Extended_Pictographic}|\p{Emoji_Modifier}|\u200d|\ufe0f)+$/u;
+const SESSION_TTL_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+const SESSION_COOKIE = 'session';
+const ROLE_RANK = { member: 1, admin: 2, owner: 3 };
+const INVITE_MAX_HOURS = 24 * 365;
+const INVITE_MAX_USES = 10000;
+const TYPING_THROTTLE_MS = 2000; // typing_start is relayed at most this often per socket and chat
+const SEARCH_RESULTS_LIMIT = 50;
+const SEARCH_MAX_TERMS = 8;
+// who may start a private chat with a user or add them to a group
+const PRIVACY_MODES = ['everyone', 'groups', 'nobody'];
+const AUDIT_POLL_MS = 3000; // how quickly actions taken with admin.js reach live sockets
+const REPORT_REASONS = ['spam', 'abuse', 'illegal', 'other'];
+const REPORT_COMMENT_MAX = 500;
+// what a moderator can do with a reported message, and the report status each leaves behind
+const REPORT_OUTCOMES = { dismiss: 'dismissed', delete: 'deleted', warn: 'warned', ban: 'banned' };
+const MODERATION_QUEUE_LIMIT = 100;
+const REPORT_CONTEXT_MESSAGES = 5; // shown on each side of a reported message
+const MY_REPORTS_LIMIT = 50;
+const MODERATORS_ROOM = 'moderators'; // every socket of a moderator or server admin
+const BOTS_PER_USER = 10;
+const WEBHOOKS_PER_CHAT = 5;
+const WEBHOOK_URL_MAX = 2048;
+const WEBHOOK_TIMEOUT_MS = 10 * 1000;
+// webhooks may not reach this host's own network unless WEBHOOK_ALLOW_PRIVATE=1 (a local receiver, see webhook-check.js)
+const WEBHOOK_ALLOW_PRIVATE = process.env.WEBHOOK_ALLOW_PRIVATE === '1';
+// wait before each retry of a failed delivery; once these run out the delivery is dropped
+const WEBHOOK_RETRY_DELAYS_MS = [10 * 1000, 60 * 1000, 5 * 60 * 1000, 30 * 60 * 1000, 2 * 60 * 60 * 1000];
+const WEBHOOK_POLL_MS = 2000;
+const WEBHOOK_BATCH = 20;
+
+const USERNAME_PATTERN = /^[A-Za-z0-9_.\-А-Яа-яЁё]{3,32}$/;
+
+// socket events are token buckets: `burst` at once, then `perSecond`. One bucket per user and one per IP
+// (IP buckets are SOCKET_IP_LIMIT_FACTOR times larger, several users may share an address); each
+// server instance counts on its own, like the login backoff below.
+// SOCKET_RATE_LIMITS='{"send_message":{"perSecond":1,"burst":5}}' overrides single events (checked
+// against the event list below, see "Socket rate limits and payload checks")
+const SOCKET_RATE_LIMITS = {
+  default: { perSecond: 5, burst: 20 },
+  connect: { perSecond: 0.5, burst: 10 }, // new connections, per IP only
+  register: { perSecond: 1 / 60, burst: 3 },
+  login: { perSecond: 0.2, burst: 5 },
+  change_password: { perSecond: 0.1, burst: 3 },
+  search_users: { perSecond: 1, burst: 10 },
+  search_messages: { perSecond: 0.5, burst: 5 },
+  create_chat: { perSecond: 0.2, burst: 5 },
+  send_message: { perSecond: 2, burst: 10 },
+  add_member_request: { perSecond: 0.5, burst: 10 },
+  create_invite: { perSecond: 0.1, burst: 5 },
+  join_by_invite: { perSecond: 0.1, burst: 5 },
+  report_message: { perSecond: 0.1, burst: 5 },
+  create_bot: { perSecond: 1 / 60, burst: 3 },
+  create_webhook: { perSecond: 1 / 60, burst: 3 }
+};
+const SOCKET_IP_LIMIT_FACTOR = 5;
+// malformed events (bad payload, unknown name) per socket; running out disconnects it. Events over
+// their rate limit are only refused, a busy but well-behaved client can hit those
+const SOCKET_VIOLATION_LIMIT = { perSecond: 1 / 30, burst: 10 };
+// failed logins per IP+username (and, more loosely, per IP) lock further attempts for a doubling delay
+// behind a load balancer every connection comes from its address; TRUST_PROXY takes the client's from
+// X-Forwarded-For instead, in express' "trust proxy" syntax: a hop count, "loopback", "10.0.0.0/8,::1"...
+const TRUST_PROXY = { '': false, false: false, true: true }[process.env.TRUST_PROXY || ''] ??
+  (/^\d+$/.test(process.env.TRUST_PROXY) ? Number(process.env.TRUST_PROXY) : process.env.TRUST_PROXY);
+
+// several instances can run side by side on one database (see adapter.js); each one heartbeats,
+// and the sockets of an instance that stops doing so no longer count as online
+const INSTANCE_ID = uuidv4();
+const INSTANCE_HEARTBEAT_MS = 5000;
+const INSTANCE_TIMEOUT_MS = 20 * 1000;
+
+const LOGIN_BACKOFF = {
+  freeFailures: 5,
+  ipFreeFailures: 20,
+  baseMs: 2000,
+  maxMs: 15 * 60 * 1000,
+  forgetMs: 60 * 60 * 1000 // failures older than this no longer count
+};
 
 /* --------------------------
    Middlewares
    -------------------------- */
+app.set('trust proxy', TRUST_PROXY);
 app.use(helmet());
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 app.use(express.static('public'));
-app.use('/uploads', express.static(UPLOAD_DIR));
+// uploads share the app's origin: nothing is sniffed, and only media may render inline
+app.use('/uploads', requireSession, express.static(UPLOAD_DIR, {
+  setHeaders: (res, filePath) => {
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+    if (!INLINE_UPLOAD_EXTENSIONS.has(path.extname(filePath).toLowerCase())) res.setHeader('Content-Disposition', 'attachment');
+  }
+}));
 
 // basic rate limiter for HTTP endpoints
 const apiLimiter = rateLimit({
@@ -43,121 +165,208 @@ const apiLimiter = rateLimit({
 app.use(apiLimiter);
 
 /* --------------------------
-   Database (better-sqlite3)
+   File upload (Multer)
    -------------------------- */
-const db = new Database(DB_FILE);
-
-// Create tables if not exists
-db.exec(`
-CREATE TABLE IF NOT EXISTS users (
-  id TEXT PRIMARY KEY,
-  username TEXT UNIQUE NOT NULL,
-  password TEXT NOT NULL
-);
-
-CREATE TABLE IF NOT EXISTS chats (
-  id TEXT PRIMARY KEY,
-  type TEXT NOT NULL,
-  name TEXT,
-  createdAt TEXT NOT NULL
-);
-
-CREATE TABLE IF NOT EXISTS chat_members (
-  id TEXT PRIMARY KEY,
-  chatId TEXT NOT NULL,
-  userId TEXT NOT NULL
-);
-
-CREATE TABLE IF NOT EXISTS messages (
-  id TEXT PRIMARY KEY,
-  chatId TEXT NOT NULL,
-  senderId TEXT NOT NULL,
-  senderName TEXT NOT NULL,
-  text TEXT,
-  file TEXT,
-  timestamp TEXT NOT NULL
-);
-
-CREATE INDEX IF NOT EXISTS idx_messages_chat ON messages(chatId, timestamp);
-`);
-
-// Prepared statements
-const stmt = {
-  // users
-  getUserByName: db.prepare('SELECT * FROM users WHERE username = ?'),
-  getUserById: db.prepare('SELECT * FROM users WHERE id = ?'),
-  insertUser: db.prepare('INSERT INTO users (id, username, password) VALUES (?, ?, ?)'),
-
-  // chats
-  insertChat: db.prepare('INSERT INTO chats (id, type, name, createdAt) VALUES (?, ?, ?, ?)'),
-  getPrivateChatBetween: db.prepare(`
-    SELECT c.* FROM chats c
-    JOIN chat_members m1 ON m1.chatId = c.id
-    JOIN chat_members m2 ON m2.chatId = c.id
-    WHERE c.type = 'private' AND m1.userId = ? AND m2.userId = ?
-    LIMIT 1
-  `),
-  getChatById: db.prepare('SELECT * FROM chats WHERE id = ?'),
-
-  // members
-  insertMember: db.prepare('INSERT INTO chat_members (id, chatId, userId) VALUES (?, ?, ?)'),
-  isUserMemberOfChat: db.prepare('SELECT 1 FROM chat_members WHERE chatId = ? AND userId = ? LIMIT 1'),
-  getChatMembers: db.prepare('SELECT u.id, u.username FROM users u JOIN chat_members m ON u.id = m.userId WHERE m.chatId = ?'),
-
-  // chat list
-  getChatsOfUser: db.prepare(`
-    SELECT c.id, c.type, c.name, c.createdAt
-    FROM chats c
-    JOIN chat_members m ON m.chatId = c.id
-    WHERE m.userId = ?
-    ORDER BY c.createdAt DESC
-  `),
-
-  // messages
-  insertMessage: db.prepare(`
-    INSERT INTO messages (id, chatId, senderId, senderName, text, file, timestamp)
-    VALUES (?, ?, ?, ?, ?, ?, ?)
-  `),
-  getMessagesOfChat: db.prepare('SELECT * FROM messages WHERE chatId = ? ORDER BY timestamp ASC'),
-  countMessagesOfChat: db.prepare('SELECT COUNT(1) as cnt FROM messages WHERE chatId = ?'),
-  deleteOldestMessages: db.prepare('DELETE FROM messages WHERE id IN (SELECT id FROM messages WHERE chatId = ? ORDER BY timestamp ASC LIMIT ?)')
+
+const isEbml = b => b[0] === 0x1a && b[1] === 0x45 && b[2] === 0xdf && b[3] === 0xa3; // webm / matroska
+const isIsoMedia = b => ['ftyp', 'moov', 'mdat', 'free', 'wide'].includes(b.toString('latin1', 4, 8)); // mp4 / m4a / mov
+const isWave = b => b.toString('latin1', 0, 4) === 'RIFF' && b.toString('latin1', 8, 12) === 'WAVE';
+
+// accepted types and how their content starts; text has no signature, it just must not look binary
+const FILE_SIGNATURES = {
+  'image/jpeg': b => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff,
+  'image/png': b => b.toString('latin1', 0, 8) === '\x89PNG\r\n\x1a\n',
+  'image/gif': b => b.toString('latin1', 0, 4) === 'GIF8',
+  'image/webp': b => b.toString('latin1', 0, 4) === 'RIFF' && b.toString('latin1', 8, 12) === 'WEBP',
+  'audio/webm': isEbml,
+  'audio/ogg': b => b.toString('latin1', 0, 4) === 'OggS',
+  'audio/mpeg': b => b.toString('latin1', 0, 3) === 'ID3' || (b[0] === 0xff && (b[1] & 0xe0) === 0xe0),
+  'audio/mp4': isIsoMedia,
+  'audio/x-m4a': isIsoMedia,
+  'audio/wav': isWave,
+  'audio/x-wav': isWave,
+  'video/webm': isEbml,
+  'video/mp4': isIsoMedia,
+  'video/quicktime': isIsoMedia,
+  'application/pdf': b => b.toString('latin1', 0, 5) === '%PDF-',
+  'text/plain': b => !b.includes(0)
 };
 
-/* --------------------------
-   File upload (Multer)
-   -------------------------- */
+// stored extension per verified type; the client's file name never decides how a file is served
+const FILE_EXTENSIONS = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/gif': '.gif',
+  'image/webp': '.webp',
+  'audio/webm': '.weba',
+  'audio/ogg': '.ogg',
+  'audio/mpeg': '.mp3',
+  'audio/mp4': '.m4a',
+  'audio/x-m4a': '.m4a',
+  'audio/wav': '.wav',
+  'audio/x-wav': '.wav',
+  'video/webm': '.webm',
+  'video/mp4': '.mp4',
+  'video/quicktime': '.mov',
+  'application/pdf': '.pdf',
+  'text/plain': '.txt'
+};
+const INLINE_UPLOAD_EXTENSIONS = new Set(Object.entries(FILE_EXTENSIONS)
+  .filter(([mimeType]) => /^(image|audio|video)\//.test(mimeType))
+  .map(([, ext]) => ext));
 
-// Accept only images, pdf, plain text (change as needed)
+// multer hands fileFilter the headers only; the content is checked against the type once stored
 function fileFilter(req, file, cb) {
-  const allowed = (
-    file.mimetype.startsWith('image/') ||
-    file.mimetype === 'application/pdf' ||
-    file.mimetype === 'text/plain'
-  );
-  cb(null, allowed);
+  cb(null, Object.hasOwn(FILE_SIGNATURES, file.mimetype));
+}
+
+// stored name of an upload; the original name is only kept in the database
+function uploadFileName(mimeType) {
+  return `${Date.now()}-${uuidv4()}${FILE_EXTENSIONS[mimeType] || ''}`;
 }
 
 const storage = multer.diskStorage({
   destination: (req, file, cb) => cb(null, UPLOAD_DIR),
-  filename: (req, file, cb) => {
-    const ext = path.extname(file.originalname);
-    const safeName = `${Date.now()}-${uuidv4()}${ext}`;
-    cb(null, safeName);
-  }
+  filename: (req, file, cb) => cb(null, uploadFileName(file.mimetype))
 });
 
 const upload = multer({
   storage,
-  limits: { fileSize: 40 * 1024 * 1024 }, // 40 MB
+  limits: { fileSize: UPLOAD_LIMITS.maxFileSize },
   fileFilter
 });
 
+/* --------------------------
+   Sessions
+   -------------------------- */
+
+// token = "<sessionId>.<hmac(sessionId)>"; the secret survives restarts via the settings table
+function loadSessionSecret() {
+  if (process.env.SESSION_SECRET) return process.env.SESSION_SECRET;
+  // instances starting together may race here; whichever secret landed first is used by all
+  stmt.insertSetting.run('session_secret', crypto.randomBytes(32).toString('hex'));
+  return stmt.getSetting.get('session_secret').value;
+}
+
+const SESSION_SECRET = loadSessionSecret();
+
+function signSessionId(sessionId) {
+  return crypto.createHmac('sha256', SESSION_SECRET).update(sessionId).digest('base64url');
+}
+
+function createSession(userId) {
+  const id = uuidv4();
+  const now = new Date();
+  stmt.insertSession.run(id, userId, now.toISOString(), now.toISOString(), new Date(now.getTime() + SESSION_TTL_MS).toISOString());
+  return { id, token: `${id}.${signSessionId(id)}` };
+}
+
+// returns { session, user } for a valid token, otherwise null
+function resolveSession(token) {
+  if (!token || typeof token !== 'string') return null;
+  const [id, sig] = token.split('.');
+  if (!id || !sig) return null;
+
+  const expected = Buffer.from(signSessionId(id));
+  const given = Buffer.from(sig);
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return null;
+
+  const session = stmt.getSessionById.get(id);
+  if (!session) return null;
+  if (session.expiresAt < new Date().toISOString()) {
+    stmt.deleteSession.run(id);
+    return null;
+  }
+
+  const user = stmt.getUserById.get(session.userId);
+  if (!user || user.bannedAt) return null;
+
+  stmt.touchSession.run(new Date().toISOString(), id);
+  return { session, user };
+}
+
+function getCookie(req, name) {
+  const header = req.headers.cookie;
+  if (!header) return null;
+  for (const part of header.split(';')) {
+    const eq = part.indexOf('=');
+    if (eq !== -1 && part.slice(0, eq).trim() === name) return decodeURIComponent(part.slice(eq + 1).trim());
+  }
+  return null;
+}
+
+// HTTP auth: "Authorization: Bearer <token>" or the session cookie (needed for <img src>)
+function requireSession(req, res, next) {
+  const auth = req.get('Authorization');
+  const token = (auth && auth.startsWith('Bearer ')) ? auth.slice(7) : getCookie(req, SESSION_COOKIE);
+  const resolved = resolveSession(token);
+  if (!resolved) return sendApiError(res, 401, 'not_authenticated');
+  req.user = resolved.user;
+  req.sessionId = resolved.session.id;
+  next();
+}
+
+// drop expired sessions once an hour
+setInterval(() => stmt.deleteExpiredSessions.run(new Date().toISOString()), 60 * 60 * 1000).unref();
+
 /* --------------------------
    Simple helpers
    -------------------------- */
-function sendUpdatedChatListToUser(userId) {
+
+// a failed operation: `error` is a stable code and `params` fill in the client's wording of it.
+// Sockets send it as the 'error' event { event, code, params }, the REST API as { error: { code, params } }
+function fail(status, code, params = {}) {
+  return { status, error: code, params };
+}
+
+function getChatList(userId) {
   const chats = stmt.getChatsOfUser.all(userId);
-  io.to(userId).emit('update_chat_list', chats);
+  chats.forEach(c => { c.members = stmt.getChatMembers.all(c.id).map(m => ({ id: m.id, username: m.username })); });
+  return chats;
+}
+
+function sendUpdatedChatListToUser(userId) {
+  io.to(userId).emit('update_chat_list', getChatList(userId));
+}
+
+// presence = a logged-in socket on any live instance
+function isUserOnline(userId) {
+  return !!stmt.isUserConnected.get(userId, new Date(Date.now() - INSTANCE_TIMEOUT_MS).toISOString());
+}
+
+// refreshes this instance and takes the sockets of instances that stopped heartbeating offline
+function heartbeatInstance() {
+  const now = Date.now();
+  stmt.upsertInstance.run(INSTANCE_ID, HOST_ID, new Date(now).toISOString());
+  stmt.getDeadInstances.all(new Date(now - INSTANCE_TIMEOUT_MS).toISOString()).forEach(({ id }) => {
+    const userIds = db.transaction(() => {
+      if (!stmt.deleteInstance.run(id).changes) return []; // another instance got there first
+      const users = stmt.getUsersOfInstance.all(id).map(u => u.userId);
+      stmt.deleteConnectionsOfInstance.run(id);
+      return users;
+    })();
+    userIds.filter(userId => !isUserOnline(userId)).forEach(userId => {
+      stmt.updateLastSeen.run(new Date(now).toISOString(), userId);
+      broadcastPresence(userId);
+    });
+  });
+}
+
+function broadcastPresence(userId) {
+  const user = stmt.getUserById.get(userId);
+  if (!user) return;
+  const payload = { userId, online: isUserOnline(userId), lastSeen: user.lastSeen };
+  stmt.getContactsOfUser.all(userId).forEach(c => io.to(c.userId).emit('presence_changed', payload));
+}
+
+function emitReceipt(chatId, userId) {
+  const receipt = stmt.getMemberReceipt.get(chatId, userId);
+  if (receipt) io.to(chatId).emit('receipt_updated', { chatId, userId, ...receipt });
+}
+
+// delivery ticks are private-chat only; `timestamp` is the newest message the user's device has seen
+function markDelivered(chatId, userId, timestamp) {
+  if (stmt.updateLastDelivered.run({ chatId, userId, timestamp }).changes) emitReceipt(chatId, userId);
 }
 
 function sanitizeUsername(u) {
@@ -165,294 +374,2420 @@ function sanitizeUsername(u) {
   return u.trim().slice(0, 64);
 }
 
-function sanitizeText(t) {
-  if (!t) return '';
-  if (typeof t !== 'string') t = String(t);
-  return t.trim().slice(0, 2000);
-}
+// builds and stores a system message; callers emit it once their transaction commits.
+// Its text is `notice` as JSON, { code, params }, which clients word in their own language
+function insertSystemMessage(chatId, notice) {
+  const msg = {
+    id: uuidv4(),
+    chatId,
+    senderId: 'system',
+    senderName: 'system',
+    text: JSON.stringify({ code: notice.code, params: notice.params || {} }),
+    timestamp: new Date().toISOString(),
+    attachments: [],
+    reactions: []
+  };
+  stmt.insertMessage.run(msg.id, msg.chatId, msg.senderId, msg.senderName, msg.text, null, msg.timestamp, null);
+  return msg;
+}
+
+// returns { chat, role } when the user is a member of the group, otherwise null
+function getGroupMembership(chatId, userId) {
+  const chat = typeof chatId === 'string' ? stmt.getChatById.get(chatId) : null;
+  if (!chat || chat.type !== 'group') return null;
+  const member = stmt.getMemberRole.get(chat.id, userId);
+  return member ? { chat, role: member.role } : null;
+}
+
+function getChatMembersWithPresence(chatId) {
+  return stmt.getChatMembers.all(chatId).map(m => ({ ...m, online: isUserOnline(m.id) }));
+}
+
+// live member list for open clients, fresh chat lists for everyone involved
+function broadcastMembers(chatId, extraUserIds = []) {
+  const members = getChatMembersWithPresence(chatId);
+  io.to(chatId).emit('members_updated', { chatId, members });
+  [...members.map(m => m.id), ...extraUserIds].forEach(uid => sendUpdatedChatListToUser(uid));
+}
+
+function toClientInvite(invite) {
+  return {
+    token: invite.id,
+    url: `/join/${invite.id}`,
+    createdAt: invite.createdAt,
+    expiresAt: invite.expiresAt,
+    maxUses: invite.maxUses,
+    uses: invite.uses
+  };
+}
+
+// shared by the join_by_invite event and GET /join/:token; returns { chat } or a failure
+function joinByInvite(user, token) {
+  const invite = typeof token === 'string' ? stmt.getInviteById.get(token) : null;
+  const chat = invite && stmt.getChatById.get(invite.chatId);
+  if (!chat) return fail(404, 'invite_not_found');
+  if (stmt.isUserMemberOfChat.get(chat.id, user.id)) return { chat };
+
+  let systemMsg;
+  try {
+    db.transaction(() => {
+      if (stmt.useInvite.run({ id: invite.id, now: new Date().toISOString() }).changes !== 1) throw new Error('invite expired');
+      stmt.insertMember.run(uuidv4(), chat.id, user.id, 'member');
+      systemMsg = insertSystemMessage(chat.id, { code: 'joined_by_invite', params: { user: user.username } });
+    })();
+  } catch (e) {
+    return fail(410, 'invite_expired');
+  }
+
+  io.to(chat.id).emit('new_message', systemMsg);
+  broadcastMembers(chat.id);
+  return { chat };
+}
+
+// group settings are for owners/admins; in private chats both members decide
+function canAdministerChat(chat, userId) {
+  const member = stmt.getMemberRole.get(chat.id, userId);
+  if (!member) return false;
+  if (chat.type !== 'group') return true;
+  return member.role === 'owner' || member.role === 'admin';
+}
+
+// either user has blocked the other
+function isBlockedBetween(a, b) {
+  return !!(stmt.getBlock.get(a, b) || stmt.getBlock.get(b, a));
+}
+
+// what keeps `fromId` away from `target` even in a private chat they already share.
+// a block on the target's side reads the same as 'nobody', so it is not revealed
+function blockRestriction(fromId, target) {
+  if (stmt.getBlock.get(fromId, target.id)) return fail(403, 'user_blocked_by_you');
+  if (stmt.getBlock.get(target.id, fromId)) return fail(403, 'contact_restricted', { username: target.username });
+  return null;
+}
+
+// why `fromId` may not start a private chat with `target` or add them to a group; null when allowed
+function contactRestriction(fromId, target) {
+  const bot = stmt.getBot.get(target.id);
+  if (bot) return bot.ownerId === fromId ? null : fail(403, 'bot_owner_only');
+  const blocked = blockRestriction(fromId, target);
+  if (blocked) return blocked;
+  if (target.privacy === 'nobody') return fail(403, 'contact_restricted', { username: target.username });
+  if (target.privacy === 'groups' && !stmt.shareGroup.get(fromId, target.id)) {
+    return fail(403, 'contact_groups_only', { username: target.username });
+  }
+  return null;
+}
+
+// returns a failure, or null when the username is acceptable
+function validateUsername(u) {
+  if (!USERNAME_PATTERN.test(u)) return fail(400, 'invalid_username');
+  return null;
+}
+
+// returns a failure, or null when the password satisfies PASSWORD_POLICY (db.js)
+function validatePassword(p) {
+  const problem = checkPassword(p);
+  return problem && fail(400, problem.code, problem.params);
+}
+
+// message rows with attachments and reply previews, as sent to clients
+function toClientMessages(rows) {
+  return withReactions(withReplyPreviews(withAttachments(rows)));
+}
+
+function getClientMessage(id) {
+  const row = stmt.getMessageById.get(id);
+  return row ? toClientMessages([row])[0] : null;
+}
+
+// one page of history, oldest first; `before` is the { timestamp, id } of the oldest message the client has
+function getHistoryPage(chatId, before, limit) {
+  limit = Math.min(Math.max(parseInt(limit, 10) || HISTORY_PAGE_SIZE, 1), HISTORY_PAGE_MAX);
+
+  // fetch one extra row to learn whether anything older is left
+  const rows = before
+    ? stmt.getMessagesBefore.all({ chatId, timestamp: before.timestamp, id: before.id, limit: limit + 1 })
+    : stmt.getLatestMessagesOfChat.all(chatId, limit + 1);
+
+  const hasMore = rows.length > limit;
+  const messages = toClientMessages(rows.slice(0, limit).reverse());
+  return { messages, hasMore };
+}
+
+// free text -> FTS5 query: every word has to match, each as a prefix; null when nothing searchable is left
+function toSearchMatch(query) {
+  if (typeof query !== 'string') return null;
+  const terms = query.slice(0, 200).match(/[\p{L}\p{N}_]+/gu);
+  if (!terms) return null;
+  return terms.slice(0, SEARCH_MAX_TERMS).map(t => `"${t}"*`).join(' ');
+}
+
+function sanitizeText(t) {
+  if (!t) return '';
+  if (typeof t !== 'string') t = String(t);
+  return t.trim().slice(0, 2000);
+}
+
+// shape an attachments row the way the client renderer expects it
+function toClientAttachment(a) {
+  return {
+    id: a.id,
+    filePath: a.path,
+    fileMime: a.mimeType,
+    fileOriginal: a.originalName,
+    fileSize: a.size,
+    thumbPath: a.thumbPath,
+    width: a.width,
+    height: a.height,
+    placeholder: a.placeholder,
+    duration: a.duration,
+    waveform: a.waveform ? JSON.parse(a.waveform) : null
+  };
+}
+
+// attach `attachments` arrays to message rows (mutates rows)
+function withAttachments(messages) {
+  const byMessage = new Map();
+  stmt.getAttachmentsOfMessages.all(JSON.stringify(messages.map(m => m.id))).forEach(a => {
+    if (!byMessage.has(a.messageId)) byMessage.set(a.messageId, []);
+    byMessage.get(a.messageId).push(toClientAttachment(a));
+  });
+  messages.forEach(m => { m.attachments = byMessage.get(m.id) || []; });
+  return messages;
+}
+
+// [{ emoji, count, userIds }] per message id, in order of first use
+function aggregateReactions(messageIds) {
+  const byMessage = new Map();
+  stmt.getReactionsOfMessages.all(JSON.stringify(messageIds)).forEach(r => {
+    if (!byMessage.has(r.messageId)) byMessage.set(r.messageId, new Map());
+    const byEmoji = byMessage.get(r.messageId);
+    if (!byEmoji.has(r.emoji)) byEmoji.set(r.emoji, { emoji: r.emoji, count: 0, userIds: [] });
+    const entry = byEmoji.get(r.emoji);
+    entry.count++;
+    entry.userIds.push(r.userId);
+  });
+  return byMessage;
+}
+
+// attach `reactions` arrays to message rows (mutates rows)
+function withReactions(messages) {
+  const byMessage = aggregateReactions(messages.map(m => m.id));
+  messages.forEach(m => { m.reactions = byMessage.has(m.id) ? [...byMessage.get(m.id).values()] : []; });
+  return messages;
+}
+
+// attach a short `replyTo` quote to replies (mutates rows); null once the original is gone
+function withReplyPreviews(messages) {
+  const ids = [...new Set(messages.map(m => m.replyToId).filter(Boolean))];
+  const byId = new Map();
+  if (ids.length) {
+    stmt.getReplyPreviews.all(JSON.stringify(ids)).forEach(r => {
+      byId.set(r.id, {
+        id: r.id,
+        senderName: r.senderName,
+        text: r.deletedAt ? '' : (r.text || '').slice(0, 100),
+        deleted: !!r.deletedAt
+      });
+    });
+  }
+  messages.forEach(m => { m.replyTo = m.replyToId ? (byId.get(m.replyToId) || null) : null; });
+  return messages;
+}
+
+/* --------------------------
+   Retention
+   -------------------------- */
+
+// returns a failure, or null when the policy is acceptable
+function validateRetention(mode, value) {
+  if (mode === 'forever') return null;
+  const limits = RETENTION_LIMITS[mode];
+  if (!limits) return fail(400, 'unknown_retention');
+  if (!Number.isInteger(value) || value < limits.min || value > limits.max) {
+    return fail(400, 'retention_out_of_range', { min: limits.min, max: limits.max });
+  }
+  return null;
+}
+
+// applies every chat's retention policy and drops attachments whose message is gone
+function sweepRetention() {
+  let removed = 0;
+  const cutoffFor = days => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+
+  stmt.getChatsWithRetention.all().forEach(chat => {
+    let rows = [];
+    if (chat.retentionMode === 'count') rows = stmt.getMessageIdsBeyondCount.all(chat.id, chat.retentionValue);
+    else if (chat.retentionMode === 'days') rows = stmt.getMessageIdsOlderThan.all(chat.id, cutoffFor(chat.retentionValue));
+    deleteMessagesWithAttachments(rows.map(r => r.id));
+    removed += rows.length;
+  });
+
+  stmt.getOrphanedAttachments.all().forEach(a => {
+    stmt.deleteAttachmentById.run(a.id);
+    removeUploadFile(a);
+  });
+
+  if (removed) console.log(`Retention sweep removed ${removed} messages`);
+}
+
+/* --------------------------
+   Storage quotas and garbage collection
+   -------------------------- */
+
+// bytes a user's uploads take, counting resumable uploads still in flight
+function getStorageUsage(userId) {
+  const { files, used } = stmt.getStorageUsage.get(userId);
+  const { reserved } = stmt.getReservedUploadBytes.get(userId);
+  return { used, reserved, files, quota: STORAGE_QUOTA_BYTES };
+}
+
+function fitsStorageQuota(userId, extraBytes) {
+  const { used, reserved } = getStorageUsage(userId);
+  return used + reserved + extraBytes <= STORAGE_QUOTA_BYTES;
+}
+
+function isServerAdmin(user) {
+  return !!user && ADMIN_USERNAMES.includes(user.username);
+}
+
+// drops uploads that were never sent within the grace period, and files on disk no row points at
+// (left behind by a crash between writing a file and recording it)
+async function collectStorageGarbage() {
+  const cutoff = Date.now() - UNATTACHED_GRACE_MS;
+  const unattached = stmt.getUnattachedAttachmentsBefore.all(new Date(cutoff).toISOString());
+  unattached.forEach(a => {
+    stmt.deleteAttachmentById.run(a.id);
+    removeUploadFile(a);
+  });
+
+  // list first, then read the rows, so a file recorded meanwhile is not mistaken for a stray
+  const entries = await fs.promises.readdir(UPLOAD_DIR, { withFileTypes: true });
+  const known = new Set();
+  stmt.getAttachmentFiles.all().forEach(a => {
+    known.add(path.basename(a.path));
+    if (a.thumbPath) known.add(path.basename(a.thumbPath));
+  });
+
+  let strays = 0;
+  for (const entry of entries) {
+    if (!entry.isFile() || entry.name.startsWith('.') || known.has(entry.name)) continue;
+    const filePath = path.join(UPLOAD_DIR, entry.name);
+    const { mtimeMs } = await fs.promises.stat(filePath).catch(() => ({ mtimeMs: Date.now() }));
+    if (mtimeMs > cutoff) continue; // may still be on its way in
+    await fs.promises.unlink(filePath).catch(() => {});
+    strays++;
+  }
+
+  if (unattached.length || strays) console.log(`Storage GC removed ${unattached.length} unsent uploads and ${strays} stray files`);
+}
+
+/* --------------------------
+   Chat operations
+   -------------------------- */
+
+function toClientUser(user) {
+  return { id: user.id, username: user.username, lastSeen: user.lastSeen, bot: !!stmt.getBot.get(user.id) };
+}
+
+function registerUser(username, password) {
+  username = sanitizeUsername(username);
+  const invalid = validateUsername(username) || validatePassword(password);
+  if (invalid) return invalid;
+  if (stmt.getUserByName.get(username)) return fail(409, 'username_taken');
+
+  const id = uuidv4();
+  const now = new Date().toISOString();
+  try {
+    stmt.insertUser.run(id, username, bcrypt.hashSync(password, BCRYPT_ROUNDS), now, now);
+  } catch (e) {
+    return fail(500, 'save_failed');
+  }
+  return { user: stmt.getUserById.get(id) };
+}
+
+// existing accounts only
+// `ip` is where the attempt comes from; repeated failures from it back off (see LOGIN_BACKOFF)
+function authenticateUser(username, password, ip) {
+  username = sanitizeUsername(username);
+  if (!username || !password) return fail(400, 'credentials_required');
+
+  const retryAfter = loginRetryAfter(ip, username);
+  if (retryAfter) return fail(429, 'too_many_attempts', { retryAfter });
+
+  const user = stmt.getUserByName.get(username);
+  if (!user || !bcrypt.compareSync(String(password), user.password)) {
+    recordLoginFailure(ip, username);
+    return user ? fail(401, 'wrong_password') : fail(404, 'user_not_found', { username });
+  }
+  clearLoginFailures(ip, username);
+  if (user.bannedAt) return fail(403, 'account_banned', { reason: user.banReason });
+  return { user };
+}
+
+function searchUsers(user, query) {
+  if (typeof query !== 'string' || query.length > 64 || !query.trim()) return { users: [] };
+  const like = `%${query.trim()}%`;
+  return { users: db.prepare('SELECT id, username FROM users WHERE username LIKE ? AND id <> ? LIMIT 50').all(like, user.id) };
+}
+
+// in every chat of the user, or in one of them
+function searchMessages(user, { query, chatId } = {}) {
+  const match = toSearchMatch(query);
+  if (!match || (chatId != null && typeof chatId !== 'string')) return { hits: [] };
+  return { hits: stmt.searchMessages.all({ userId: user.id, match, chatId: chatId || null, limit: SEARCH_RESULTS_LIMIT }) };
+}
+
+// a group owned by the creator, or the private chat with partnerId (the existing one if there is one)
+function createChat(user, { partnerId, isGroup, groupName } = {}) {
+  if (isGroup) {
+    const chatId = uuidv4();
+    const name = typeof groupName === 'string' ? groupName.trim().slice(0, 128) : '';
+    if (!name) return fail(400, 'chat_name_required');
+    const now = new Date().toISOString();
+    try {
+      db.transaction(() => {
+        stmt.insertChat.run(chatId, 'group', name, now);
+        stmt.insertMember.run(uuidv4(), chatId, user.id, 'owner');
+      })();
+    } catch (e) {
+      return fail(500, 'save_failed');
+    }
+
+    sendUpdatedChatListToUser(user.id);
+    return { chat: { id: chatId, name }, created: true };
+  }
+
+  // private chat
+  const partner = typeof partnerId === 'string' ? stmt.getUserById.get(partnerId) : null;
+  if (!partner) return fail(404, 'user_not_found');
+
+  // an existing chat stays reachable after the partner tightens their privacy setting, not after a block
+  const exist = stmt.getPrivateChatBetween.get(user.id, partner.id) || stmt.getPrivateChatBetween.get(partner.id, user.id);
+  const restriction = exist ? blockRestriction(user.id, partner) : contactRestriction(user.id, partner);
+  if (restriction) return restriction;
+  if (exist) return { chat: { id: exist.id, name: partner.username }, created: false };
+
+  // create private
+  const chatId = uuidv4();
+  const now = new Date().toISOString();
+  try {
+    db.transaction(() => {
+      stmt.insertChat.run(chatId, 'private', partner.username, now);
+      stmt.insertMember.run(uuidv4(), chatId, user.id, 'member');
+      stmt.insertMember.run(uuidv4(), chatId, partner.id, 'member');
+    })();
+  } catch (e) {
+    return fail(500, 'save_failed');
+  }
+
+  // notify both users
+  [user.id, partner.id].forEach(uid => sendUpdatedChatListToUser(uid));
+  return { chat: { id: chatId, name: partner.username }, created: true };
+}
+
+// returns { chat } for a member of the chat
+function getMemberChat(user, chatId) {
+  if (typeof chatId !== 'string' || !stmt.isUserMemberOfChat.get(chatId, user.id)) {
+    return fail(403, 'no_access');
+  }
+  const chat = stmt.getChatById.get(chatId);
+  if (!chat) return fail(404, 'chat_not_found');
+  return { chat };
+}
+
+// the chat with its members and the newest page of messages
+function openChat(user, chatId) {
+  const access = getMemberChat(user, chatId);
+  if (access.error) return access;
+  const { chat } = access;
+
+  const page = getHistoryPage(chat.id, null, HISTORY_PAGE_SIZE);
+  chat.members = getChatMembersWithPresence(chat.id);
+  chat.messages = page.messages;
+  chat.hasMore = page.hasMore;
+  return { chat };
+}
+
+// `before` is the oldest message the caller has, as { timestamp, id } or a message id; without it, the newest page
+function loadMessages(user, { chatId, before, limit } = {}) {
+  const access = getMemberChat(user, chatId);
+  if (access.error) return access;
+  const { chat } = access;
+
+  let cursor = null;
+  if (typeof before === 'string') {
+    cursor = stmt.getMessageById.get(before);
+    if (!cursor || cursor.chatId !== chat.id) return fail(400, 'message_not_found');
+  } else if (before && typeof before.timestamp === 'string' && typeof before.id === 'string') {
+    cursor = before;
+  }
+  return { chatId: chat.id, ...getHistoryPage(chat.id, cursor, limit) };
+}
+
+function sendChatMessage(sender, { chatId, text, attachmentIds, replyToId } = {}) {
+  // must be a member
+  const chat = typeof chatId === 'string' ? stmt.getChatById.get(chatId) : null;
+  if (!chat || !stmt.isUserMemberOfChat.get(chatId, sender.id)) return fail(403, 'no_access');
+
+  // private chats go silent while either side has the other blocked
+  if (chat.type === 'private' && stmt.getOtherMemberIds.all(chatId, sender.id).some(m => isBlockedBetween(sender.id, m.userId))) {
+    return fail(403, 'chat_blocked');
+  }
+
+  // referenced uploads must exist, belong to the sender and not be used yet
+  const ids = Array.isArray(attachmentIds) ? [...new Set(attachmentIds)] : [];
+  if (ids.length > MAX_ATTACHMENTS_PER_MESSAGE) {
+    return fail(400, 'too_many_attachments', { max: MAX_ATTACHMENTS_PER_MESSAGE });
+  }
+  const attachments = [];
+  for (const id of ids) {
+    const a = typeof id === 'string' ? stmt.getAttachmentById.get(id) : null;
+    if (!a || a.uploaderId !== sender.id || a.messageId) return fail(400, 'attachment_not_found');
+    attachments.push(a);
+  }
+
+  // a reply must point at a live message of the same chat
+  if (replyToId) {
+    const target = typeof replyToId === 'string' ? stmt.getMessageById.get(replyToId) : null;
+    if (!target || target.chatId !== chatId || target.deletedAt) {
+      return fail(400, 'reply_not_found');
+    }
+  }
+
+  // Prepare message
+  const msg = {
+    id: uuidv4(),
+    chatId,
+    senderId: sender.id,
+    senderName: sender.username,
+    text: sanitizeText(text),
+    file: null,
+    timestamp: new Date().toISOString(),
+    replyToId: replyToId || null,
+    attachments: attachments.map(toClientAttachment),
+    reactions: []
+  };
+  if (!msg.text && !attachments.length) return fail(400, 'empty_message');
+  withReplyPreviews([msg]);
+
+  try {
+    db.transaction(() => {
+      stmt.insertMessage.run(msg.id, msg.chatId, msg.senderId, msg.senderName, msg.text, msg.file, msg.timestamp, msg.replyToId);
+      attachments.forEach(a => {
+        if (stmt.attachToMessage.run(msg.id, a.id).changes !== 1) throw new Error('attachment already used');
+      });
+    })();
+  } catch (e) {
+    return fail(500, 'save_failed');
+  }
+
+  // emit to chat room
+  io.to(chatId).emit('new_message', msg);
+
+  // unread counters and delivery receipts of the other members; only this chat's counter changed,
+  // so they get that instead of a whole chat list
+  stmt.getUnreadCountsOfChat.all(chatId).forEach(({ userId, unreadCount }) => {
+    if (userId === sender.id) return;
+    io.to(userId).emit('chat_unread', { chatId, unreadCount });
+    if (chat.type === 'private' && isUserOnline(userId)) markDelivered(chatId, userId, msg.timestamp);
+  });
+
+  queueWebhookDeliveries(chat, msg, sender);
+  return { message: msg };
+}
+
+// own messages only; the previous text goes to message_edits
+function editMessage(user, { messageId, text } = {}) {
+  const msg = typeof messageId === 'string' ? stmt.getMessageById.get(messageId) : null;
+  if (!msg || msg.deletedAt || msg.senderId !== user.id || !stmt.isUserMemberOfChat.get(msg.chatId, user.id)) {
+    return fail(403, 'not_own_message');
+  }
+
+  const newText = sanitizeText(text);
+  if (newText === msg.text) return { message: getClientMessage(msg.id), changed: false };
+  if (!newText && !withAttachments([msg])[0].attachments.length) {
+    return fail(400, 'empty_message');
+  }
+
+  const now = new Date().toISOString();
+  try {
+    db.transaction(() => {
+      stmt.insertMessageEdit.run(uuidv4(), msg.id, msg.text, now);
+      stmt.updateMessageText.run(newText, now, msg.id);
+    })();
+  } catch (e) {
+    return fail(500, 'save_failed');
+  }
+
+  const message = getClientMessage(msg.id);
+  io.to(msg.chatId).emit('message_updated', message);
+  return { message, changed: true };
+}
+
+// the sender, or a group admin; leaves a tombstone row
+function deleteMessage(user, { messageId } = {}) {
+  const msg = typeof messageId === 'string' ? stmt.getMessageById.get(messageId) : null;
+  const chat = msg && stmt.getChatById.get(msg.chatId);
+  const allowed = chat && !msg.deletedAt && stmt.isUserMemberOfChat.get(chat.id, user.id) && (
+    msg.senderId === user.id ||
+    (chat.type === 'group' && canAdministerChat(chat, user.id))
+  );
+  if (!allowed) return fail(403, 'cannot_delete_message');
+
+  try {
+    tombstoneMessages([msg.id]);
+  } catch (e) {
+    return fail(500, 'save_failed');
+  }
+
+  const tombstone = getClientMessage(msg.id);
+  io.to(msg.chatId).emit('message_deleted', { id: tombstone.id, chatId: tombstone.chatId, deletedAt: tombstone.deletedAt });
+  return { message: tombstone };
+}
+
+// runs a membership change and its system message in one transaction, then notifies everyone
+function commitGroupChange(chatId, change, notice, extraUserIds) {
+  let systemMsg;
+  try {
+    db.transaction(() => {
+      change();
+      systemMsg = insertSystemMessage(chatId, notice);
+    })();
+  } catch (e) {
+    return fail(500, 'save_failed');
+  }
+  io.to(chatId).emit('new_message', systemMsg);
+  broadcastMembers(chatId, extraUserIds);
+  return {};
+}
+
+// takes a removed member's sockets out of the room and tells their clients
+function evictFromChat(chat, userId) {
+  io.in(userId).socketsLeave(chat.id);
+  io.to(userId).emit('removed_from_chat', { chatId: chat.id, chatName: chat.name });
+}
+
+// admins add people by username
+function addMember(user, { chatId, username } = {}) {
+  // ensure chat exists and is group
+  const chat = typeof chatId === 'string' ? stmt.getChatById.get(chatId) : null;
+  if (!chat || chat.type !== 'group') return fail(404, 'group_not_found');
+
+  // requester must be a member with admin rights
+  if (!stmt.isUserMemberOfChat.get(chat.id, user.id)) return fail(403, 'not_group_member');
+  if (!canAdministerChat(chat, user.id)) return fail(403, 'admin_only');
+
+  // find user to add
+  username = sanitizeUsername(username);
+  const userToAdd = username && stmt.getUserByName.get(username);
+  if (!userToAdd) return fail(404, 'user_not_found', { username });
+
+  // check not already member
+  if (stmt.isUserMemberOfChat.get(chat.id, userToAdd.id)) return fail(409, 'already_member', { username });
+  const restriction = contactRestriction(user.id, userToAdd);
+  if (restriction) return restriction;
+
+  // add member + system message
+  let systemMsg;
+  try {
+    db.transaction(() => {
+      stmt.insertMember.run(uuidv4(), chat.id, userToAdd.id, 'member');
+      systemMsg = insertSystemMessage(chat.id, { code: 'member_added', params: { user: user.username, member: userToAdd.username } });
+    })();
+  } catch (e) {
+    return fail(500, 'save_failed');
+  }
+
+  // notify chat + new user
+  io.to(chat.id).emit('new_message', systemMsg);
+  io.to(userToAdd.id).emit('member_added', {
+    username: userToAdd.username,
+    chatName: chat.name,
+    targetId: userToAdd.id
+  });
+
+  // update member lists and chat lists (including the new member's)
+  broadcastMembers(chat.id);
+  return { chat, member: { id: userToAdd.id, username: userToAdd.username, role: 'member' } };
+}
+
+// admins remove members, the owner removes anyone but themselves
+function removeMember(user, { chatId, userId } = {}) {
+  const actor = getGroupMembership(chatId, user.id);
+  const target = actor && userId !== user.id && getGroupMembership(chatId, userId);
+  if (!actor || !target || ROLE_RANK[actor.role] < ROLE_RANK.admin || ROLE_RANK[actor.role] <= ROLE_RANK[target.role]) {
+    return fail(403, 'cannot_remove_member');
+  }
+
+  const removed = stmt.getUserById.get(userId);
+  const result = commitGroupChange(chatId, () => stmt.deleteMember.run(chatId, userId), { code: 'member_removed', params: { user: user.username, member: removed.username } }, [userId]);
+  if (!result.error) evictFromChat(actor.chat, userId);
+  return result;
+}
+
+// the owner has to hand the group over first unless nobody else is left
+function leaveChat(user, { chatId } = {}) {
+  const me = getGroupMembership(chatId, user.id);
+  if (!me) return fail(404, 'group_not_found');
+  if (me.role === 'owner' && stmt.getChatMembers.all(chatId).length > 1) {
+    return fail(409, 'owner_must_transfer');
+  }
+
+  const result = commitGroupChange(chatId, () => stmt.deleteMember.run(chatId, user.id), { code: 'member_left', params: { user: user.username } }, [user.id]);
+  if (!result.error) evictFromChat(me.chat, user.id);
+  return result;
+}
+
+// admins only
+function renameChat(user, { chatId, name } = {}) {
+  const me = getGroupMembership(chatId, user.id);
+  if (!me || ROLE_RANK[me.role] < ROLE_RANK.admin) {
+    return fail(403, 'admin_only');
+  }
+  const newName = typeof name === 'string' ? name.trim().slice(0, 128) : '';
+  if (!newName) return fail(400, 'chat_name_required');
+  if (newName === me.chat.name) return { chat: me.chat };
+
+  const result = commitGroupChange(chatId, () => stmt.updateChatName.run(newName, chatId), {
+    code: 'group_renamed',
+    params: { user: user.username, name: newName }
+  });
+  if (result.error) return result;
+  io.to(chatId).emit('chat_renamed', { chatId, name: newName });
+  return { chat: { ...me.chat, name: newName } };
+}
+
+// promote to admin / demote to member (owner only)
+function setMemberRole(user, { chatId, userId, role } = {}) {
+  const me = getGroupMembership(chatId, user.id);
+  const target = me && userId !== user.id && getGroupMembership(chatId, userId);
+  if (!me || me.role !== 'owner' || !target || (role !== 'admin' && role !== 'member')) {
+    return fail(403, 'owner_only');
+  }
+  if (target.role === role) return {};
+
+  const member = stmt.getUserById.get(userId);
+  const notice = { code: role === 'admin' ? 'admin_granted' : 'admin_revoked', params: { user: user.username, member: member.username } };
+  return commitGroupChange(chatId, () => stmt.updateMemberRole.run(role, chatId, userId), notice);
+}
+
+// hand the group to another member; the previous owner stays on as admin
+function transferOwnership(user, { chatId, userId } = {}) {
+  const me = getGroupMembership(chatId, user.id);
+  const target = me && userId !== user.id && getGroupMembership(chatId, userId);
+  if (!me || me.role !== 'owner' || !target) return fail(403, 'owner_only');
+
+  const member = stmt.getUserById.get(userId);
+  return commitGroupChange(chatId, () => {
+    stmt.updateMemberRole.run('owner', chatId, userId);
+    stmt.updateMemberRole.run('admin', chatId, user.id);
+  }, { code: 'ownership_transferred', params: { user: user.username, member: member.username } });
+}
+
+/* --------------------------
+   Bots and webhooks
+   -------------------------- */
+
+// bot token = "<botUserId>.<secret>"; only a hash of the secret is stored, so a lost token is replaced, not recovered
+function issueBotToken(botId) {
+  const secret = crypto.randomBytes(24).toString('base64url');
+  return { token: `${botId}.${secret}`, tokenHash: crypto.createHash('sha256').update(secret).digest('hex') };
+}
+
+// returns the bot's user row for a valid token, otherwise null
+function resolveBotToken(token) {
+  if (!token || typeof token !== 'string') return null;
+  const [id, secret] = token.split('.');
+  const bot = id && secret ? stmt.getBot.get(id) : null;
+  if (!bot) return null;
+
+  const expected = Buffer.from(bot.tokenHash, 'hex');
+  const given = crypto.createHash('sha256').update(secret).digest();
+  if (!crypto.timingSafeEqual(given, expected)) return null;
+
+  const user = stmt.getUserById.get(bot.userId);
+  if (!user || user.bannedAt) return null;
+  stmt.touchBot.run(new Date().toISOString(), bot.userId);
+  return user;
+}
+
+// a bot leaves its messages behind, like a deleted account
+function deleteBotAccount(botId) {
+  const chatIds = stmt.getChatsOfUser.all(botId).map(c => c.id);
+  db.transaction(() => {
+    stmt.deleteMembershipsOfUser.run(botId);
+    stmt.deleteBot.run(botId);
+    stmt.deleteUser.run(botId);
+  })();
+  chatIds.forEach(chatId => broadcastMembers(chatId));
+}
+
+// loopback, private, link-local, carrier-grade NAT, multicast and reserved ranges
+const PRIVATE_ADDRESSES = new net.BlockList();
+[['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+  ['192.168.0.0', 16], ['224.0.0.0', 4], ['240.0.0.0', 4]].forEach(([prefix, bits]) => PRIVATE_ADDRESSES.addSubnet(prefix, bits, 'ipv4'));
+[['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]].forEach(([prefix, bits]) => PRIVATE_ADDRESSES.addSubnet(prefix, bits, 'ipv6'));
+
+// IPv4-mapped IPv6 addresses are checked against the IPv4 ranges
+function isPrivateAddress(address) {
+  return PRIVATE_ADDRESSES.check(address, net.isIPv4(address) ? 'ipv4' : 'ipv6');
+}
+
+// dns.lookup for webhook requests: the address is checked when the connection is made, so a name
+// that resolved to a public address at creation cannot be pointed at the local network later
+function webhookLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    if (!WEBHOOK_ALLOW_PRIVATE && addresses.some(a => isPrivateAddress(a.address))) {
+      return callback(Object.assign(new Error(`${hostname} resolves to a private address`), { code: 'EPRIVATEADDR' }));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+function validateWebhookUrl(url) {
+  if (typeof url !== 'string' || !url.trim() || url.length > WEBHOOK_URL_MAX) return fail(400, 'webhook_url_required');
+  try {
+    const { protocol } = new URL(url.trim());
+    if (protocol !== 'http:' && protocol !== 'https:') return fail(400, 'webhook_url_protocol');
+  } catch (e) {
+    return fail(400, 'webhook_url_invalid');
+  }
+  return null;
+}
+
+// resolved when the webhook is created so the sender learns about a bad host right away;
+// deliveries check again through webhookLookup
+async function checkWebhookHost(url) {
+  if (WEBHOOK_ALLOW_PRIVATE) return null;
+  const hostname = new URL(url).hostname.replace(/^\[|\]$/g, '');
+  let addresses;
+  try {
+    addresses = net.isIP(hostname) ? [{ address: hostname }] : await dns.promises.lookup(hostname, { all: true });
+  } catch (e) {
+    return fail(400, 'webhook_url_unresolved');
+  }
+  return addresses.some(a => isPrivateAddress(a.address)) ? fail(400, 'webhook_url_private') : null;
+}
+
+// a single POST that follows no redirects; resolves with the status code
+function postWebhook(url, headers, body) {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const hostname = target.hostname.replace(/^\[|\]$/g, '');
+    // literal addresses never reach the lookup
+    if (!WEBHOOK_ALLOW_PRIVATE && net.isIP(hostname) && isPrivateAddress(hostname)) {
+      reject(Object.assign(new Error(`${hostname} is a private address`), { code: 'EPRIVATEADDR' }));
+      return;
+    }
+    const req = (target.protocol === 'https:' ? https : http).request(target, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+      lookup: webhookLookup,
+      timeout: WEBHOOK_TIMEOUT_MS
+    }, res => {
+      res.resume();
+      res.on('end', () => resolve(res.statusCode));
+      res.on('error', reject);
+    });
+    req.on('timeout', () => req.destroy(Object.assign(new Error('timeout'), { code: 'timeout' })));
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+function toClientWebhook(webhook) {
+  return {
+    id: webhook.id,
+    url: webhook.url,
+    createdAt: webhook.createdAt,
+    lastDeliveryAt: webhook.lastDeliveryAt,
+    lastStatus: webhook.lastStatus
+  };
+}
+
+function queueWebhookDeliveries(chat, msg, sender) {
+  const webhooks = stmt.getWebhooksOfChat.all(chat.id);
+  if (!webhooks.length) return;
+
+  const payload = JSON.stringify({
+    event: 'new_message',
+    chat: { id: chat.id, type: chat.type, name: chat.name },
+    sender: { id: sender.id, username: sender.username, bot: !!stmt.getBot.get(sender.id) },
+    message: msg
+  });
+  const createdAt = new Date().toISOString();
+  webhooks.forEach(w => stmt.insertWebhookDelivery.run({ id: uuidv4(), webhookId: w.id, payload, createdAt }));
+  setImmediate(runWebhookDeliveries);
+}
+
+// receivers check X-Webhook-Signature: "sha256=" + hex HMAC-SHA256 of "<X-Webhook-Timestamp>.<raw body>"
+// keyed with the webhook's secret, and should refuse old timestamps
+async function deliverWebhook(delivery) {
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const signature = crypto.createHmac('sha256', delivery.secret).update(`${timestamp}.${delivery.payload}`).digest('hex');
+
+  let error = null;
+  try {
+    const status = await postWebhook(delivery.url, {
+      'Content-Type': 'application/json',
+      'User-Agent': 'chat-webhooks',
+      'X-Webhook-Id': delivery.webhookId,
+      'X-Webhook-Delivery': delivery.id,
+      'X-Webhook-Timestamp': timestamp,
+      'X-Webhook-Signature': `sha256=${signature}`
+    }, delivery.payload);
+    if (status < 200 || status >= 300) error = `HTTP ${status}`;
+  } catch (e) {
+    error = e.code || e.message;
+  }
+
+  stmt.updateWebhookStatus.run(new Date().toISOString(), error || 'ok', delivery.webhookId);
+  if (!error) {
+    stmt.deleteWebhookDelivery.run(delivery.id);
+    return;
+  }
+
+  const delay = WEBHOOK_RETRY_DELAYS_MS[delivery.attempts];
+  if (delay === undefined) {
+    stmt.deleteWebhookDelivery.run(delivery.id);
+    console.warn(`Webhook ${delivery.webhookId} dropped delivery ${delivery.id}: ${error}`);
+    return;
+  }
+  stmt.rescheduleWebhookDelivery.run({
+    id: delivery.id,
+    attempts: delivery.attempts + 1,
+    nextAttemptAt: new Date(Date.now() + delay).toISOString(),
+    lastError: error
+  });
+}
+
+// deliveries live in the database, so retries survive a restart; a claimed delivery is not due
+// again until its lease ends, which also retries it if this instance dies mid-delivery
+function runWebhookDeliveries() {
+  const leaseUntil = new Date(Date.now() + 2 * WEBHOOK_TIMEOUT_MS).toISOString();
+  stmt.getDueWebhookDeliveries.all(new Date().toISOString(), WEBHOOK_BATCH).forEach(delivery => {
+    if (!stmt.claimWebhookDelivery.run({ id: delivery.id, nextAttemptAt: delivery.nextAttemptAt, leaseUntil }).changes) return;
+    deliverWebhook(delivery).catch(err => console.error('Webhook delivery failed', delivery.id, err.message));
+  });
+}
+
+/* --------------------------
+   Reports and moderation
+   -------------------------- */
+
+// read fresh on every check: admin.js grants and revokes the role while the server runs
+function isModerator(userId) {
+  const user = stmt.getUserById.get(userId);
+  return !!user && (user.role === 'moderator' || isServerAdmin(user));
+}
+
+// warnings wait in the reports table until the sender is online to see them
+function deliverWarnings(userId) {
+  if (!isUserOnline(userId)) return;
+  const warnings = stmt.getUnseenWarnings.all(userId);
+  if (!warnings.length) return;
+  io.to(userId).emit('moderation_warnings', warnings);
+  stmt.markWarningsSeen.run(new Date().toISOString(), userId);
+}
+
+// the reported message with a few messages on each side, plus every open report on it
+function getReportContext(messageId) {
+  const reports = stmt.getOpenReportsOfMessage.all(messageId);
+  if (!reports.length) return null;
+
+  const { chatId } = reports[0];
+  const chat = stmt.getChatById.get(chatId);
+  const msg = stmt.getMessageById.get(messageId);
+  let rows = [];
+  if (msg) {
+    const around = { chatId, timestamp: msg.timestamp, id: msg.id, limit: REPORT_CONTEXT_MESSAGES };
+    rows = [...stmt.getMessagesBefore.all(around).reverse(), msg, ...stmt.getMessagesAfter.all(around)];
+  }
+  return {
+    messageId,
+    chatId,
+    chatName: chat ? chat.name : null,
+    reports: reports.map(({ id, reporterName, reason, comment, createdAt }) => ({ id, reporterName, reason, comment, createdAt })),
+    messages: toClientMessages(rows)
+  };
+}
+
+// applies a moderator's decision to every open report on a message; returns a failure or null.
+// Deleting and banning go through the audit log like admin.js actions, so they reach live sockets the same way
+function resolveReports(moderator, messageId, action, note) {
+  const status = REPORT_OUTCOMES[action];
+  if (!status) return fail(400, 'unknown_action');
+  const reports = stmt.getOpenReportsOfMessage.all(messageId);
+  if (!reports.length) return fail(409, 'report_already_resolved');
+
+  const { senderId } = reports[0];
+  if (action === 'ban' && senderId === moderator.id) return fail(400, 'cannot_ban_self');
+  // banning staff is left to admin.js
+  if (action === 'ban' && isModerator(senderId)) return fail(403, 'cannot_ban_moderator');
+  const msg = stmt.getMessageById.get(messageId);
+  const sender = stmt.getUserById.get(senderId);
+  const now = new Date().toISOString();
+
+  try {
+    db.transaction(() => {
+      if (action !== 'dismiss' && msg && !msg.deletedAt) {
+        tombstoneMessages([msg.id]);
+        logAdminAction(moderator.username, 'message.delete', 'message', msg.id, { chatId: msg.chatId, senderId });
+      }
+      if (action === 'ban' && sender && !sender.bannedAt) {
+        stmt.banUser.run(now, note, now, sender.id);
+        stmt.deleteSessionsOfUser.run(sender.id);
+        logAdminAction(moderator.username, 'user.ban', 'user', sender.id, { username: sender.username, reason: note });
+      }
+      stmt.resolveReportsOfMessage.run({ messageId, status, resolvedBy: moderator.id, resolvedAt: now, note });
+      logAdminAction(moderator.username, 'report.resolve', 'message', messageId, { status, senderId, reports: reports.length });
+    })();
+  } catch (e) {
+    console.error('Failed to resolve reports', messageId, e.message);
+    return fail(500, 'save_failed');
+  }
+
+  followAuditLog();
+  reports.forEach(r => io.to(r.reporterId).emit('report_resolved', { reportId: r.id, messageId, status }));
+  if (status === 'warned') deliverWarnings(senderId);
+  io.to(MODERATORS_ROOM).emit('moderation_queue_changed');
+  return null;
+}
+
+/* --------------------------
+   Media processing
+   -------------------------- */
+
+// true when the stored file starts the way its claimed type says it should
+async function matchesSignature(filePath, mimeType) {
+  const fh = await fs.promises.open(filePath, 'r');
+  try {
+    const { buffer, bytesRead } = await fh.read(Buffer.alloc(512), 0, 512, 0);
+    return FILE_SIGNATURES[mimeType](buffer.subarray(0, bytesRead));
+  } finally {
+    await fh.close();
+  }
+}
+
+// still images are re-encoded without metadata (EXIF, GPS) after applying their orientation;
+// gifs carry no EXIF and are kept as sent so animations survive
+const REENCODE_FORMATS = {
+  'image/jpeg': ['jpeg', { quality: 90, mozjpeg: true }],
+  'image/png': ['png', {}],
+  'image/webp': ['webp', { quality: 90 }]
+};
+
+// cleans an uploaded image in place and writes its thumbnail next to it;
+// returns the fields the attachments row records
+async function processImage(file) {
+  const open = () => sharp(file.path, { limitInputPixels: IMAGE_MAX_PIXELS }).rotate();
+  let { size } = file;
+  let width, height;
+
+  if (REENCODE_FORMATS[file.mimetype]) {
+    const [format, options] = REENCODE_FORMATS[file.mimetype];
+    const tmpPath = file.path + '.tmp';
+    try {
+      ({ width, height, size } = await open().toFormat(format, options).toFile(tmpPath));
+      await fs.promises.rename(tmpPath, file.path);
+    } catch (e) {
+      fs.unlink(tmpPath, () => {});
+      throw e;
+    }
+  } else {
+    ({ width, height } = await open().metadata());
+  }
+
+  const thumbName = path.parse(file.filename).name + '.thumb.webp';
+  await open()
+    .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+    .webp({ quality: 75 })
+    .toFile(path.join(UPLOAD_DIR, thumbName));
+
+  const tiny = await open()
+    .resize(PLACEHOLDER_SIZE, PLACEHOLDER_SIZE, { fit: 'inside' })
+    .webp({ quality: 40 })
+    .toBuffer();
+
+  return {
+    size,
+    width,
+    height,
+    thumbPath: '/uploads/' + thumbName,
+    placeholder: 'data:image/webp;base64,' + tiny.toString('base64')
+  };
+}
+
+// audio is decoded to 8 kHz mono; the loudest sample of every 50 ms window feeds the waveform
+const WAVEFORM_SAMPLE_RATE = 8000;
+const WAVEFORM_WINDOW = WAVEFORM_SAMPLE_RATE / 20;
+let ffmpegMissing = false;
+
+// downsamples window peaks to WAVEFORM_BARS values of 0..100
+function toWaveform(peaks) {
+  const bars = Math.min(WAVEFORM_BARS, peaks.length);
+  const loudest = peaks.reduce((a, b) => Math.max(a, b), 0) || 1;
+  return Array.from({ length: bars }, (_, i) => {
+    const slice = peaks.slice(Math.floor(i * peaks.length / bars), Math.floor((i + 1) * peaks.length / bars));
+    return Math.round(Math.max(...slice) / loudest * 100);
+  });
+}
+
+// duration, and for audio a waveform, read through ffmpeg; nulls when it is missing or cannot read the file.
+// recorder output (webm/opus) often has no duration in its header, so audio is timed by its decoded samples
+function probeMedia(file) {
+  const empty = { duration: null, waveform: null };
+  if (ffmpegMissing) return Promise.resolve(empty);
+
+  const isAudio = file.mimetype.startsWith('audio/');
+  const args = ['-hide_banner', '-nostdin', '-i', file.path];
+  if (isAudio) args.push('-vn', '-ac', '1', '-ar', String(WAVEFORM_SAMPLE_RATE), '-f', 's16le', 'pipe:1');
+
+  return new Promise((resolve) => {
+    const child = spawn(FFMPEG_PATH, args, { stdio: ['ignore', 'pipe', 'pipe'] });
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      child.kill('SIGKILL');
+    }, MEDIA_PROBE_TIMEOUT_MS);
+    const peaks = [];
+    let samples = 0, windowPeak = 0, carry = null, stderr = '';
+
+    child.stdout.on('data', (chunk) => {
+      if (carry) chunk = Buffer.concat([carry, chunk]);
+      const usable = chunk.length - (chunk.length % 2);
+      carry = usable < chunk.length ? chunk.subarray(usable) : null;
+      for (let i = 0; i < usable; i += 2) {
+        windowPeak = Math.max(windowPeak, Math.abs(chunk.readInt16LE(i)));
+        if (++samples % WAVEFORM_WINDOW === 0) {
+          peaks.push(windowPeak);
+          windowPeak = 0;
+        }
+      }
+    });
+    child.stderr.on('data', (d) => {
+      if (stderr.length < 64 * 1024) stderr += d;
+    });
+
+    child.on('error', (err) => {
+      clearTimeout(timer);
+      if (err.code === 'ENOENT') {
+        ffmpegMissing = true;
+        console.warn(`${FFMPEG_PATH} not found; audio and video are stored without duration and waveform`);
+      }
+      resolve(empty);
+    });
+
+    child.on('close', () => {
+      clearTimeout(timer);
+      // what a killed ffmpeg got through is only part of the file
+      if (timedOut) {
+        console.warn(`${FFMPEG_PATH} took longer than ${MEDIA_PROBE_TIMEOUT_MS} ms on ${file.path}; stored without duration and waveform`);
+        resolve(empty);
+        return;
+      }
+      if (samples % WAVEFORM_WINDOW) peaks.push(windowPeak);
+      const m = /Duration: (\d+):(\d{2}):(\d{2}(?:\.\d+)?)/.exec(stderr);
+      const headerDuration = m ? Number(m[1]) * 3600 + Number(m[2]) * 60 + Number(m[3]) : null;
+      resolve({
+        duration: isAudio && samples ? samples / WAVEFORM_SAMPLE_RATE : headerDuration,
+        waveform: isAudio && peaks.length ? JSON.stringify(toWaveform(peaks)) : null
+      });
+    });
+  });
+}
+
+/* --------------------------
+   HTTP upload endpoint
+   -------------------------- */
+// checks, cleans and records a file that has landed in UPLOAD_DIR, still unattached until the uploader
+// references it in send_message; resolves to { body } for the client or a failure
+async function storeUpload(userId, file) {
+  const attachment = {
+    id: uuidv4(),
+    uploaderId: userId,
+    path: '/uploads/' + file.filename,
+    originalName: path.basename(file.originalname).slice(0, 255),
+    mimeType: file.mimetype,
+    size: file.size,
+    createdAt: new Date().toISOString(),
+    width: null,
+    height: null,
+    thumbPath: null,
+    placeholder: null,
+    duration: null,
+    waveform: null
+  };
+
+  try {
+    if (!(await matchesSignature(file.path, file.mimetype))) {
+      removeUploadFile(attachment);
+      return fail(415, 'upload_content_mismatch');
+    }
+    if (file.mimetype.startsWith('image/')) Object.assign(attachment, await processImage(file));
+    if (/^(audio|video)\//.test(file.mimetype)) Object.assign(attachment, await probeMedia(file));
+  } catch (e) {
+    removeUploadFile(attachment);
+    return fail(415, 'upload_unreadable');
+  }
+
+  if (!fitsStorageQuota(userId, attachment.size)) {
+    removeUploadFile(attachment);
+    return fail(507, 'storage_quota_exceeded');
+  }
+
+  try {
+    stmt.insertAttachment.run(attachment);
+  } catch (e) {
+    removeUploadFile(attachment);
+    return fail(500, 'save_failed');
+  }
+
+  return {
+    body: {
+      id: attachment.id,
+      filename: file.filename,
+      originalname: attachment.originalName,
+      mimetype: attachment.mimeType,
+      path: attachment.path,
+      size: attachment.size,
+      width: attachment.width,
+      height: attachment.height,
+      thumbPath: attachment.thumbPath,
+      placeholder: attachment.placeholder,
+      duration: attachment.duration,
+      waveform: attachment.waveform && JSON.parse(attachment.waveform)
+    }
+  };
+}
+
+app.post('/upload', requireSession, upload.single('file'), async (req, res) => {
+  // Basic API rate-limit already applied
+  if (!req.file) return sendApiError(res, 400, 'upload_missing');
+
+  const result = await storeUpload(req.user.id, req.file);
+  if (result.error) return sendApiError(res, result.status, result.error, result.params);
+  res.json(result.body);
+});
+
+/* --------------------------
+   Resumable uploads
+   init -> PUT numbered chunks (status tells which ones arrived) -> finalize with sha256 check
+   -------------------------- */
+app.get('/upload/config', (req, res) => {
+  res.json({ ...UPLOAD_LIMITS, allowedTypes: Object.keys(FILE_SIGNATURES) });
+});
+
+const partialUploadPath = id => path.join(PARTIAL_UPLOAD_DIR, id);
+
+function uploadStatus(session) {
+  return {
+    id: session.id,
+    size: session.size,
+    chunkSize: session.chunkSize,
+    totalChunks: Math.ceil(session.size / session.chunkSize),
+    received: stmt.getUploadChunks.all(session.id).map(r => r.idx)
+  };
+}
+
+// the caller's own unfinished upload, or null after answering 404
+function getOwnUploadSession(req, res) {
+  const session = stmt.getUploadSession.get(req.params.id);
+  if (!session || session.uploaderId !== req.user.id) {
+    sendApiError(res, 404, 'upload_not_found');
+    return null;
+  }
+  return session;
+}
+
+function dropUploadSession(id) {
+  db.transaction(() => {
+    stmt.deleteUploadChunks.run(id);
+    stmt.deleteUploadSession.run(id);
+  })();
+  fs.unlink(partialUploadPath(id), () => {});
+}
+
+function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')))
+      .on('error', reject);
+  });
+}
+
+app.post('/upload/sessions', requireSession, async (req, res) => {
+  const { name, size, mimeType, sha256 } = req.body || {};
+  if (typeof name !== 'string' || !name.trim()) return sendApiError(res, 400, 'upload_name_required');
+  if (!Object.hasOwn(FILE_SIGNATURES, mimeType)) return sendApiError(res, 415, 'upload_type_not_allowed');
+  if (!Number.isInteger(size) || size <= 0) return sendApiError(res, 400, 'upload_invalid_size');
+  if (size > UPLOAD_LIMITS.maxFileSize) return sendApiError(res, 413, 'upload_too_large', { maxMb: UPLOAD_LIMITS.maxFileSize / 1024 / 1024 });
+  if (!fitsStorageQuota(req.user.id, size)) return sendApiError(res, 507, 'storage_quota_exceeded');
+  if (typeof sha256 !== 'string' || !/^[0-9a-f]{64}$/.test(sha256)) return sendApiError(res, 400, 'upload_invalid_checksum');
+
+  const session = {
+    id: uuidv4(),
+    uploaderId: req.user.id,
+    originalName: path.basename(name).slice(0, 255),
+    mimeType,
+    size,
+    chunkSize: UPLOAD_LIMITS.chunkSize,
+    sha256,
+    createdAt: new Date().toISOString()
+  };
+
+  try {
+    await fs.promises.writeFile(partialUploadPath(session.id), '');
+    stmt.insertUploadSession.run(session);
+  } catch (e) {
+    fs.unlink(partialUploadPath(session.id), () => {});
+    return sendApiError(res, 500, 'save_failed');
+  }
+
+  res.status(201).json(uploadStatus(session));
+});
+
+app.get('/upload/sessions/:id', requireSession, (req, res) => {
+  const session = getOwnUploadSession(req, res);
+  if (session) res.json(uploadStatus(session));
+});
+
+app.put('/upload/sessions/:id/chunks/:index', requireSession, express.raw({ type: () => true, limit: UPLOAD_LIMITS.chunkSize }), async (req, res) => {
+  const session = getOwnUploadSession(req, res);
+  if (!session) return;
+
+  const index = Number(req.params.index);
+  const totalChunks = Math.ceil(session.size / session.chunkSize);
+  if (!Number.isInteger(index) || index < 0 || index >= totalChunks) return sendApiError(res, 400, 'upload_invalid_chunk');
+
+  // every chunk but the last is exactly chunkSize long
+  const offset = index * session.chunkSize;
+  const expected = Math.min(session.chunkSize, session.size - offset);
+  if (!Buffer.isBuffer(req.body) || req.body.length !== expected) return sendApiError(res, 400, 'upload_chunk_size');
+
+  try {
+    const fh = await fs.promises.open(partialUploadPath(session.id), 'r+');
+    try {
+      await fh.write(req.body, 0, req.body.length, offset);
+    } finally {
+      await fh.close();
+    }
+    stmt.insertUploadChunk.run(session.id, index);
+    stmt.touchUploadSession.run(new Date().toISOString(), session.id);
+  } catch (e) {
+    return sendApiError(res, 500, 'save_failed');
+  }
+
+  res.json(uploadStatus(session));
+});
+
+app.post('/upload/sessions/:id/finalize', requireSession, async (req, res) => {
+  const session = getOwnUploadSession(req, res);
+  if (!session) return;
+
+  const status = uploadStatus(session);
+  if (status.received.length !== status.totalChunks) {
+    return res.status(409).json({ error: { code: 'upload_incomplete', params: {} }, ...status });
+  }
+
+  // a mismatch means corrupted parts we cannot point at; the client starts over
+  let digest;
+  try {
+    digest = await hashFile(partialUploadPath(session.id));
+  } catch (e) {
+    return sendApiError(res, 500, 'save_failed');
+  }
+  if (digest !== session.sha256) {
+    dropUploadSession(session.id);
+    return sendApiError(res, 422, 'upload_checksum_mismatch');
+  }
+
+  // deleting the row claims the file, so a repeated finalize cannot store it twice
+  if (!stmt.deleteUploadSession.run(session.id).changes) return sendApiError(res, 404, 'upload_not_found');
+  stmt.deleteUploadChunks.run(session.id);
+
+  const file = {
+    path: path.join(UPLOAD_DIR, uploadFileName(session.mimeType)),
+    originalname: session.originalName,
+    mimetype: session.mimeType,
+    size: session.size
+  };
+  file.filename = path.basename(file.path);
+  try {
+    await fs.promises.rename(partialUploadPath(session.id), file.path);
+  } catch (e) {
+    return sendApiError(res, 500, 'save_failed');
+  }
+
+  const result = await storeUpload(req.user.id, file);
+  if (result.error) return sendApiError(res, result.status, result.error, result.params);
+  res.json(result.body);
+});
+
+// multer and body parser failures on the upload routes, answered like the routes' own errors
+app.use('/upload', (err, req, res, next) => {
+  if (err.code === 'LIMIT_FILE_SIZE') return sendApiError(res, 413, 'upload_too_large', { maxMb: UPLOAD_LIMITS.maxFileSize / 1024 / 1024 });
+  if (err.type === 'entity.too.large') return sendApiError(res, 400, 'upload_chunk_size');
+  if (err.type === 'entity.parse.failed') return sendApiError(res, 400, 'invalid_json');
+  if (err.status && err.status < 500) return sendApiError(res, err.status, 'bad_request');
+  console.error('Upload error', err);
+  sendApiError(res, 500, 'save_failed');
+});
+
+// partial uploads nobody touched for a day
+function sweepStaleUploads() {
+  const cutoff = new Date(Date.now() - UPLOAD_STALE_MS).toISOString();
+  stmt.getStaleUploadSessions.all(cutoff).forEach(s => dropUploadSession(s.id));
+}
+setInterval(sweepStaleUploads, 60 * 60 * 1000).unref();
+
+/* --------------------------
+   Invite links
+   -------------------------- */
+
+// logged-in visitors join right away; everyone else finishes the join in the client after login
+app.get('/join/:token', (req, res) => {
+  const resolved = resolveSession(getCookie(req, SESSION_COOKIE));
+  if (!resolved) return res.redirect(`/?invite=${encodeURIComponent(req.params.token)}`);
+
+  const result = joinByInvite(resolved.user, req.params.token);
+  if (result.error) return res.redirect(`/?inviteError=${encodeURIComponent(result.error)}`);
+  res.redirect(`/?chat=${encodeURIComponent(result.chat.id)}`);
+});
+
+/* --------------------------
+   REST API (v1)
+   -------------------------- */
+
+// the same operations as the socket events; errors are { error: { code, params } }, as in the socket 'error' event
+const api = express.Router();
+
+function sendApiError(res, status, code, params = {}) {
+  res.status(status).json({ error: { code, params } });
+}
+
+// answers with body(result), or with the operation's error
+function respond(res, result, body, status = 200) {
+  if (result.error) return sendApiError(res, result.status, result.error, result.params);
+  if (!body) return res.status(204).end();
+  res.status(status).json(body(result));
+}
+
+// a session token (Bearer or cookie) or a bot token
+function requireApiUser(req, res, next) {
+  const auth = req.get('Authorization');
+  const bearer = (auth && auth.startsWith('Bearer ')) ? auth.slice(7) : null;
+  const resolved = resolveSession(bearer || getCookie(req, SESSION_COOKIE));
+  const user = resolved ? resolved.user : resolveBotToken(bearer);
+  if (!user) return sendApiError(res, 401, 'not_authenticated');
+  req.user = user;
+  req.sessionId = resolved ? resolved.session.id : null;
+  next();
+}
+
+function startApiSession(res, result) {
+  respond(res, result, ({ user }) => ({ user: toClientUser(user), token: createSession(user.id).token }), 201);
+}
+
+api.post('/users', (req, res) => {
+  const { username, password } = req.body || {};
+  startApiSession(res, registerUser(username, password));
+});
+
+api.post('/sessions', (req, res) => {
+  const { username, password } = req.body || {};
+  startApiSession(res, authenticateUser(username, password, req.ip));
+});
+
+api.delete('/sessions/current', requireApiUser, (req, res) => {
+  if (!req.sessionId) return sendApiError(res, 400, 'not_a_session'); // bot tokens are revoked by issuing a new one
+  stmt.deleteSession.run(req.sessionId);
+  res.status(204).end();
+});
+
+api.get('/users/me', requireApiUser, (req, res) => {
+  res.json({ user: toClientUser(req.user) });
+});
+
+api.get('/users', requireApiUser, (req, res) => {
+  respond(res, searchUsers(req.user, req.query.query), ({ users }) => ({ users }));
+});
+
+api.get('/chats', requireApiUser, (req, res) => {
+  res.json({ chats: getChatList(req.user.id) });
+});
+
+// 201 for a new chat, 200 when the private chat already existed
+api.post('/chats', requireApiUser, (req, res) => {
+  const { partnerId, isGroup, groupName } = req.body || {};
+  const result = createChat(req.user, { partnerId, isGroup, groupName });
+  respond(res, result, ({ chat }) => ({ chat }), result.created ? 201 : 200);
+});
+
+api.get('/chats/:id', requireApiUser, (req, res) => {
+  respond(res, getMemberChat(req.user, req.params.id), ({ chat }) => ({
+    chat: { ...chat, members: getChatMembersWithPresence(chat.id) }
+  }));
+});
+
+api.patch('/chats/:id', requireApiUser, (req, res) => {
+  const { name } = req.body || {};
+  respond(res, renameChat(req.user, { chatId: req.params.id, name }), ({ chat }) => ({ chat }));
+});
+
+api.get('/chats/:id/members', requireApiUser, (req, res) => {
+  respond(res, getMemberChat(req.user, req.params.id), ({ chat }) => ({ members: getChatMembersWithPresence(chat.id) }));
+});
+
+api.post('/chats/:id/members', requireApiUser, (req, res) => {
+  const { username } = req.body || {};
+  respond(res, addMember(req.user, { chatId: req.params.id, username }), ({ member }) => ({ member }), 201);
+});
+
+// role "owner" hands the group over, "admin" / "member" promote or demote
+api.patch('/chats/:id/members/:userId', requireApiUser, (req, res) => {
+  const { role } = req.body || {};
+  const target = { chatId: req.params.id, userId: req.params.userId };
+  const result = role === 'owner' ? transferOwnership(req.user, target) : setMemberRole(req.user, { ...target, role });
+  respond(res, result);
+});
+
+// removing yourself leaves the group
+api.delete('/chats/:id/members/:userId', requireApiUser, (req, res) => {
+  const { id: chatId, userId } = req.params;
+  respond(res, userId === req.user.id ? leaveChat(req.user, { chatId }) : removeMember(req.user, { chatId, userId }));
+});
+
+// newest page first; ?before=<messageId> pages backwards from there
+api.get('/chats/:id/messages', requireApiUser, (req, res) => {
+  const { before, limit } = req.query;
+  respond(res, loadMessages(req.user, { chatId: req.params.id, before: before || null, limit }), ({ messages, hasMore }) => ({ messages, hasMore }));
+});
+
+api.post('/chats/:id/messages', requireApiUser, (req, res) => {
+  const { text, replyToId, attachmentIds } = req.body || {};
+  respond(res, sendChatMessage(req.user, { chatId: req.params.id, text, replyToId, attachmentIds }), ({ message }) => ({ message }), 201);
+});
+
+api.get('/messages/search', requireApiUser, (req, res) => {
+  const { query, chatId } = req.query;
+  respond(res, searchMessages(req.user, { query, chatId }), ({ hits }) => ({ hits }));
+});
+
+api.patch('/messages/:id', requireApiUser, (req, res) => {
+  const { text } = req.body || {};
+  respond(res, editMessage(req.user, { messageId: req.params.id, text }), ({ message }) => ({ message }));
+});
+
+api.delete('/messages/:id', requireApiUser, (req, res) => {
+  respond(res, deleteMessage(req.user, { messageId: req.params.id }));
+});
+
+api.use((req, res) => sendApiError(res, 404, 'not_found'));
+
+app.use('/api/v1', api);
+
+// body parsing runs before the router, so its errors are caught here
+app.use('/api/v1', (err, req, res, next) => {
+  if (err.type === 'entity.parse.failed') return sendApiError(res, 400, 'invalid_json');
+  if (err.status && err.status < 500) return sendApiError(res, err.status, 'bad_request');
+  console.error('API error', err);
+  sendApiError(res, 500, 'internal_error');
+});
+
+/* --------------------------
+   Socket rate limits and payload checks
+   -------------------------- */
+
+// payload of each socket event: one type for the whole payload, or field -> type for object payloads
+// (types: string, number, boolean, object, string[]; "a|b" allows either, a trailing "?" also undefined/null).
+// null means the event takes no payload. Events missing here are rejected
+const SOCKET_EVENT_SCHEMAS = {
+  register: { username: 'string', password: 'string' },
+  login: { username: 'string', password: 'string' },
+  change_password: { currentPassword: 'string', newPassword: 'string' },
+  logout: null,
+  logout_all: null,
+  search_users: 'string',
+  search_messages: { query: 'string', chatId: 'string?' },
+  create_chat: { partnerId: 'string?', isGroup: 'boolean?', groupName: 'string?' },
+  join_chat: 'string',
+  load_messages: { chatId: 'string', before: 'string|object', limit: 'number?' },
+  send_message: { chatId: 'string', text: 'string?', attachmentIds: 'string[]?', replyToId: 'string?' },
+  mark_read: { chatId: 'string', messageId: 'string' },
+  edit_message: { messageId: 'string', text: 'string' },
+  delete_message: { messageId: 'string' },
+  get_edit_history: { messageId: 'string' },
+  get_thread: { messageId: 'string' },
+  add_reaction: { messageId: 'string', emoji: 'string' },
+  remove_reaction: { messageId: 'string', emoji: 'string' },
+  add_member_request: { chatId: 'string', username: 'string' },
+  remove_member: { chatId: 'string', userId: 'string' },
+  leave_chat: { chatId: 'string' },
+  rename_chat: { chatId: 'string', name: 'string' },
+  promote_member: { chatId: 'string', userId: 'string', role: 'string' },
+  transfer_ownership: { chatId: 'string', userId: 'string' },
+  create_invite: { chatId: 'string', expiresInHours: 'number?', maxUses: 'number?' },
+  list_invites: { chatId: 'string' },
+  revoke_invite: { token: 'string' },
+  join_by_invite: { token: 'string' },
+  set_retention: { chatId: 'string', mode: 'string', value: 'number?' },
+  typing_start: { chatId: 'string' },
+  typing_stop: { chatId: 'string' },
+  get_privacy_settings: null,
+  set_privacy: { privacy: 'string' },
+  block_user: { userId: 'string' },
+  unblock_user: { userId: 'string' },
+  get_storage_usage: null,
+  get_storage_top: { limit: 'number?' },
+  report_message: { messageId: 'string', reason: 'string', comment: 'string?' },
+  get_my_reports: null,
+  get_moderation_queue: null,
+  get_report_context: { messageId: 'string' },
+  resolve_report: { messageId: 'string', action: 'string', note: 'string?' },
+  create_bot: { username: 'string' },
+  list_bots: null,
+  regenerate_bot_token: { botId: 'string' },
+  delete_bot: { botId: 'string' },
+  create_webhook: { chatId: 'string', url: 'string' },
+  list_webhooks: { chatId: 'string' },
+  delete_webhook: { id: 'string' },
+  request_chat_list: null
+};
+
+function matchesType(value, spec) {
+  if (spec.endsWith('?') && value == null) return true;
+  return spec.replace(/\?$/, '').split('|').some(type => {
+    if (type === 'string[]') return Array.isArray(value) && value.every(v => typeof v === 'string');
+    if (type === 'number') return Number.isFinite(value);
+    if (type === 'object') return value !== null && typeof value === 'object' && !Array.isArray(value);
+    return typeof value === type;
+  });
+}
+
+// null when the payload fits, otherwise the failure naming the first field that does not
+function checkPayload(schema, payload) {
+  if (schema === null) return null;
+  if (typeof schema === 'string') return matchesType(payload, schema) ? null : fail(400, 'invalid_payload', { field: '' });
+  if (payload === undefined) payload = {};
+  if (!matchesType(payload, 'object')) return fail(400, 'invalid_payload', { field: '' });
+  const field = Object.keys(schema).find(name => !matchesType(payload[name], schema[name]));
+  return field ? fail(400, 'invalid_payload', { field }) : null;
+}
+
+// SOCKET_RATE_LIMITS from env: a typo would otherwise quietly leave the default in place
+function parseRateLimitOverrides(json) {
+  let overrides;
+  try {
+    overrides = JSON.parse(json);
+  } catch (e) {
+    throw new Error(`SOCKET_RATE_LIMITS is not valid JSON: ${e.message}`);
+  }
+  if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+    throw new Error('SOCKET_RATE_LIMITS must be an object of event name -> { perSecond, burst }');
+  }
+  Object.entries(overrides).forEach(([name, limit]) => {
+    if (name !== 'default' && name !== 'connect' && !Object.hasOwn(SOCKET_EVENT_SCHEMAS, name)) {
+      throw new Error(`SOCKET_RATE_LIMITS: unknown event "${name}"`);
+    }
+    const valid = limit && typeof limit === 'object' && Object.keys(limit).length === 2 &&
+      Number.isFinite(limit.perSecond) && limit.perSecond > 0 && Number.isFinite(limit.burst) && limit.burst >= 1;
+    if (!valid) throw new Error(`SOCKET_RATE_LIMITS: "${name}" needs { perSecond, burst }, a positive rate and a burst of at least 1`);
+  });
+  return overrides;
+}
+if (process.env.SOCKET_RATE_LIMITS) Object.assign(SOCKET_RATE_LIMITS, parseRateLimitOverrides(process.env.SOCKET_RATE_LIMITS));
+
+// key -> { tokens, updatedAt, fullAt }; buckets that have filled up again are pruned
+const rateBuckets = new Map();
+
+// takes one token; returns 0, or the seconds until one is available
+function takeToken(key, { perSecond, burst }) {
+  const now = Date.now();
+  const bucket = rateBuckets.get(key) || { tokens: burst, updatedAt: now };
+  bucket.tokens = Math.min(burst, bucket.tokens + (now - bucket.updatedAt) / 1000 * perSecond);
+  bucket.updatedAt = now;
+  const waitSeconds = bucket.tokens < 1 ? Math.ceil((1 - bucket.tokens) / perSecond) : 0;
+  if (!waitSeconds) bucket.tokens -= 1;
+  bucket.fullAt = now + (burst - bucket.tokens) / perSecond * 1000;
+  rateBuckets.set(key, bucket);
+  return waitSeconds;
+}
+
+function scaleLimit({ perSecond, burst }, factor) {
+  return { perSecond: perSecond * factor, burst: burst * factor };
+}
+
+// an event counts against the IP and, once logged in, against the user across all their sockets
+function takeEventToken(eventName, ip, userId) {
+  const limit = SOCKET_RATE_LIMITS[eventName] || SOCKET_RATE_LIMITS.default;
+  const ipWait = takeToken(`ip:${ip}:${eventName}`, scaleLimit(limit, SOCKET_IP_LIMIT_FACTOR));
+  if (ipWait || !userId) return ipWait;
+  return takeToken(`user:${userId}:${eventName}`, limit);
+}
+
+// `${ip} ${username}` and ip -> { count, lockedUntil, lastAt }
+const loginFailures = new Map();
+
+function loginKeys(ip, username) {
+  return [[`${ip} ${username}`, LOGIN_BACKOFF.freeFailures], [ip, LOGIN_BACKOFF.ipFreeFailures]];
+}
+
+// seconds until this IP may try this username again, 0 if it may now
+function loginRetryAfter(ip, username) {
+  const now = Date.now();
+  const lockedUntil = Math.max(0, ...loginKeys(ip, username).map(([key]) => (loginFailures.get(key) || {}).lockedUntil || 0));
+  return lockedUntil > now ? Math.ceil((lockedUntil - now) / 1000) : 0;
+}
+
+// past the free failures every further one doubles the lock, up to maxMs
+function recordLoginFailure(ip, username) {
+  const now = Date.now();
+  for (const [key, free] of loginKeys(ip, username)) {
+    const entry = loginFailures.get(key);
+    const count = entry && now - entry.lastAt < LOGIN_BACKOFF.forgetMs ? entry.count + 1 : 1;
+    const lockMs = count > free ? Math.min(LOGIN_BACKOFF.baseMs * 2 ** (count - free - 1), LOGIN_BACKOFF.maxMs) : 0;
+    loginFailures.set(key, { count, lockedUntil: now + lockMs, lastAt: now });
+  }
+}
+
+function clearLoginFailures(ip, username) {
+  loginFailures.delete(`${ip} ${username}`);
+}
+
+setInterval(() => {
+  const now = Date.now();
+  rateBuckets.forEach((bucket, key) => { if (bucket.fullAt <= now) rateBuckets.delete(key); });
+  loginFailures.forEach((entry, key) => {
+    if (entry.lockedUntil <= now && now - entry.lastAt >= LOGIN_BACKOFF.forgetMs) loginFailures.delete(key);
+  });
+}, 60 * 1000).unref();
+
+/* --------------------------
+   Socket.IO logic
+   -------------------------- */
+
+// new connections per IP, so a socket dropped for flooding cannot just come straight back
+io.use((socket, next) => {
+  // the handshake request goes through the same proxy rules as req.ip
+  socket.data.ip = proxyaddr(socket.request, app.get('trust proxy fn'));
+  if (takeToken(`ip:${socket.data.ip}:connect`, SOCKET_RATE_LIMITS.connect)) return next(new Error('rate_limited'));
+  next();
+});
+
+// resume a session from the handshake; sockets without a valid token connect anonymously and must log in
+io.use((socket, next) => {
+  const resolved = resolveSession(socket.handshake.auth && socket.handshake.auth.token);
+  if (resolved) {
+    socket.data.user = resolved.user;
+    socket.data.sessionId = resolved.session.id;
+  } else if (socket.handshake.auth && socket.handshake.auth.token) {
+    socket.data.sessionRejected = true;
+  }
+  next();
+});
+
+io.on('connection', (socket) => {
+  let currentUser = null;
+
+  // per chat: when typing_start was last relayed for this socket
+  const typingRelayedAt = new Map();
+
+  function startSession(user, token) {
+    const wasOnline = isUserOnline(user.id);
+    currentUser = user;
+    socket.data.user = user;
+    socket.join(user.id); // personal room
+    stmt.insertConnection.run(socket.id, user.id, INSTANCE_ID);
+    if (!wasOnline) broadcastPresence(user.id);
+    const moderator = isModerator(user.id);
+    if (moderator) socket.join(MODERATORS_ROOM);
+    socket.emit('login_success', { userId: user.id, username: user.username, token, isAdmin: isServerAdmin(user), isModerator: moderator });
+    deliverWarnings(user.id);
+
+    // everything sent while offline has now reached this device
+    const now = new Date().toISOString();
+    stmt.getPrivateChatIdsOfUser.all(user.id).forEach(c => markDelivered(c.id, user.id, now));
+
+    // send chat list
+    sendUpdatedChatListToUser(user.id);
+  }
+
+  if (socket.data.user) {
+    startSession(socket.data.user, socket.handshake.auth.token);
+  } else if (socket.data.sessionRejected) {
+    socket.emit('session_expired');
+  }
 
-/* --------------------------
-   HTTP upload endpoint
-   -------------------------- */
-app.post('/upload', upload.single('file'), (req, res) => {
-  // Basic API rate-limit already applied
-  if (!req.file) return res.status(400).json({ error: 'No file uploaded or file type not allowed.' });
+  // every failed request is answered with one 'error' event; the client words it from `code` and `params`
+  function emitError(eventName, code, params = {}) {
+    socket.emit('error', { event: eventName, code, params });
+  }
 
-  res.json({
-    filename: req.file.filename,
-    originalname: path.basename(req.file.originalname),
-    mimetype: req.file.mimetype,
-    path: '/uploads/' + req.file.filename,
-    size: req.file.size
+  // every incoming event must be known, within its rate limits and shaped as its schema says.
+  // Rejections are answered like any failure; too many malformed ones end the connection
+  socket.use(([eventName, payload], next) => {
+    const rejection = checkEvent(eventName, payload);
+    if (!rejection) return next();
+    emitError(eventName, rejection.error, rejection.params);
+    if (rejection.error === 'rate_limited') return;
+    if (takeToken(`violations:${socket.id}`, SOCKET_VIOLATION_LIMIT)) {
+      emitError(eventName, 'too_many_violations');
+      socket.disconnect(true);
+    }
   });
-});
 
-/* --------------------------
-   Socket.IO logic
-   -------------------------- */
-io.on('connection', (socket) => {
-  let currentUser = null;
+  function checkEvent(eventName, payload) {
+    if (!Object.hasOwn(SOCKET_EVENT_SCHEMAS, eventName)) return fail(400, 'unknown_event');
+    const retryAfter = takeEventToken(eventName, socket.data.ip, currentUser && currentUser.id);
+    if (retryAfter) return fail(429, 'rate_limited', { retryAfter });
+    return checkPayload(SOCKET_EVENT_SCHEMAS[eventName], payload);
+  }
 
   // helper to require auth for socket events
   function requireAuth(eventName) {
     if (!currentUser) {
-      socket.emit('error', { event: eventName, message: 'Not authenticated' });
+      emitError(eventName, 'not_authenticated');
       return false;
     }
     return true;
   }
 
-  // 1) login / register
-  socket.on('login', ({ username, password }) => {
-    username = sanitizeUsername(username);
-    if (!username || !password) {
-      socket.emit('login_error', 'Invalid username or password');
+  // 1a) register
+  socket.on('register', ({ username, password } = {}) => {
+    const result = registerUser(username, password);
+    if (result.error) {
+      emitError('register', result.error, result.params);
       return;
     }
 
-    let user = stmt.getUserByName.get(username);
-    if (user) {
-      // user exists -> check password
-      const ok = bcrypt.compareSync(String(password), user.password);
-      if (!ok) {
-        socket.emit('login_error', 'Неверный пароль');
-        return;
-      }
-    } else {
-      // register new
-      const id = uuidv4();
-      const hashed = bcrypt.hashSync(String(password), 10);
-      try {
-        stmt.insertUser.run(id, username, hashed);
-        user = stmt.getUserById.get(id);
-      } catch (e) {
-        socket.emit('login_error', 'Ошибка регистрации');
-        return;
-      }
+    const session = createSession(result.user.id);
+    socket.data.sessionId = session.id;
+    startSession(result.user, session.token);
+  });
+
+  // 1b) login (existing accounts only)
+  socket.on('login', ({ username, password } = {}) => {
+    const result = authenticateUser(username, password, socket.data.ip);
+    if (result.error) {
+      emitError('login', result.error, result.params);
+      return;
     }
 
-    currentUser = user;
-    socket.join(user.id); // personal room
-    socket.emit('login_success', { userId: user.id, username: user.username });
+    const session = createSession(result.user.id);
+    socket.data.sessionId = session.id;
+    startSession(result.user, session.token);
+  });
 
-    // send chat list
-    sendUpdatedChatListToUser(user.id);
+  // change password; other devices have to log in again
+  socket.on('change_password', ({ currentPassword, newPassword } = {}) => {
+    if (!requireAuth('change_password')) return;
+
+    const user = stmt.getUserById.get(currentUser.id);
+    if (!user || !bcrypt.compareSync(String(currentPassword), user.password)) {
+      emitError('change_password', 'wrong_current_password');
+      return;
+    }
+    const invalid = validatePassword(newPassword);
+    if (invalid) {
+      emitError('change_password', invalid.error, invalid.params);
+      return;
+    }
+
+    stmt.updateUserPassword.run(bcrypt.hashSync(newPassword, BCRYPT_ROUNDS), new Date().toISOString(), user.id);
+    stmt.deleteOtherSessionsOfUser.run(user.id, socket.data.sessionId);
+    io.to(user.id).except(socket.id).emit('logged_out');
+    io.in(user.id).except(socket.id).disconnectSockets(true);
+    socket.emit('password_changed');
+  });
+
+  // end this device's session
+  socket.on('logout', () => {
+    if (!requireAuth('logout')) return;
+    stmt.deleteSession.run(socket.data.sessionId);
+    socket.emit('logged_out');
+    socket.disconnect(true);
+  });
+
+  // end every session of the user, including other devices
+  socket.on('logout_all', () => {
+    if (!requireAuth('logout_all')) return;
+    stmt.deleteSessionsOfUser.run(currentUser.id);
+    io.to(currentUser.id).emit('logged_out');
+    io.in(currentUser.id).disconnectSockets(true);
   });
 
   // 2) search users
   socket.on('search_users', (query) => {
     if (!requireAuth('search_users')) return;
-    if (typeof query !== 'string' || query.length > 64) {
-      socket.emit('search_results', []);
+    socket.emit('search_results', searchUsers(currentUser, query).users);
+  });
+
+  // 2b) search messages in every chat of the user, or in one of them
+  socket.on('search_messages', ({ query, chatId } = {}) => {
+    if (!requireAuth('search_messages')) return;
+    socket.emit('message_search_results', { query, hits: searchMessages(currentUser, { query, chatId }).hits });
+  });
+
+  // 3) create chat
+  socket.on('create_chat', ({ partnerId, isGroup, groupName } = {}) => {
+    if (!requireAuth('create_chat')) return;
+    if (!isGroup && !partnerId) return;
+
+    const result = createChat(currentUser, { partnerId, isGroup, groupName });
+    if (result.error) {
+      emitError('create_chat', result.error, result.params);
       return;
     }
-    query = query.trim();
-    if (!query) {
-      socket.emit('search_results', []);
+    socket.emit('open_chat_force', result.chat);
+  });
+
+  // 4) join chat (get history)
+  socket.on('join_chat', (chatId) => {
+    if (!requireAuth('join_chat')) return;
+    if (!chatId) return;
+
+    const result = openChat(currentUser, chatId);
+    if (result.error) {
+      emitError('join_chat', result.error, result.params);
       return;
     }
+    socket.join(chatId);
+    socket.emit('chat_history', result.chat);
+  });
 
-    const like = `%${query}%`;
-    const rows = db.prepare('SELECT id, username FROM users WHERE username LIKE ? AND id <> ? LIMIT 50').all(like, currentUser.id);
-    socket.emit('search_results', rows);
+  // 4b) older history, paged backwards by (timestamp, id)
+  socket.on('load_messages', ({ chatId, before, limit } = {}) => {
+    if (!requireAuth('load_messages')) return;
+    if (!chatId || !before) return;
+
+    const result = loadMessages(currentUser, { chatId, before, limit });
+    if (result.error) {
+      emitError('load_messages', result.error, result.params);
+      return;
+    }
+    socket.emit('messages_page', { chatId, messages: result.messages, hasMore: result.hasMore });
   });
 
-  // 3) create chat
-  socket.on('create_chat', ({ partnerId, isGroup, groupName }) => {
-    if (!requireAuth('create_chat')) return;
+  // 5) send message
+  socket.on('send_message', (payload) => {
+    if (!requireAuth('send_message')) return;
+    const result = sendChatMessage(currentUser, payload);
+    if (result.error) emitError('send_message', result.error, result.params);
+  });
 
-    if (isGroup) {
-      const chatId = uuidv4();
-      const name = (typeof groupName === 'string' && groupName.trim()) ? groupName.trim().slice(0, 128) : 'Новая группа';
-      const now = new Date().toISOString();
-      const tx = db.transaction(() => {
-        stmt.insertChat.run(chatId, 'group', name, now);
-        stmt.insertMember.run(uuidv4(), chatId, currentUser.id);
-      });
+  // 5g) the client has shown everything up to messageId
+  socket.on('mark_read', ({ chatId, messageId } = {}) => {
+    if (!requireAuth('mark_read')) return;
+    if (!chatId || !messageId) return;
+    if (!stmt.isUserMemberOfChat.get(chatId, currentUser.id)) return;
 
-      try {
-        tx();
-      } catch (e) {
-        socket.emit('create_chat_error', 'Не удалось создать группу');
-        return;
-      }
+    const msg = stmt.getMessageById.get(messageId);
+    if (!msg || msg.chatId !== chatId) return;
+
+    const params = { chatId, userId: currentUser.id, messageId: msg.id, timestamp: msg.timestamp };
+    if (!stmt.updateLastRead.run(params).changes) return;
+
+    stmt.updateLastDelivered.run(params);
+    emitReceipt(chatId, currentUser.id);
+    sendUpdatedChatListToUser(currentUser.id);
+  });
+
+  // 5b) edit own message
+  socket.on('edit_message', ({ messageId, text } = {}) => {
+    if (!requireAuth('edit_message')) return;
+    if (!messageId) return;
+    const result = editMessage(currentUser, { messageId, text });
+    if (result.error) emitError('edit_message', result.error, result.params);
+  });
+
+  // 5c) delete message
+  socket.on('delete_message', ({ messageId } = {}) => {
+    if (!requireAuth('delete_message')) return;
+    if (!messageId) return;
+    const result = deleteMessage(currentUser, { messageId });
+    if (result.error) emitError('delete_message', result.error, result.params);
+  });
+
+  // 5d) previous versions of an edited message
+  socket.on('get_edit_history', ({ messageId } = {}) => {
+    if (!requireAuth('get_edit_history')) return;
+    const msg = messageId && stmt.getMessageById.get(messageId);
+    if (!msg || !stmt.isUserMemberOfChat.get(msg.chatId, currentUser.id)) return;
+    socket.emit('edit_history', { messageId: msg.id, edits: stmt.getEditsOfMessage.all(msg.id) });
+  });
 
-      sendUpdatedChatListToUser(currentUser.id);
-      socket.emit('open_chat_force', { id: chatId, name });
+  // 5e) thread: a root message and every reply below it, oldest first
+  socket.on('get_thread', ({ messageId } = {}) => {
+    if (!requireAuth('get_thread')) return;
+    const root = messageId && getClientMessage(messageId);
+    if (!root || !stmt.isUserMemberOfChat.get(root.chatId, currentUser.id)) {
+      emitError('get_thread', 'message_not_found');
       return;
     }
 
-    // private chat
-    if (!partnerId) return;
-    const partner = stmt.getUserById.get(partnerId);
-    if (!partner) {
-      socket.emit('create_chat_error', 'Партнёр не найден');
+    const replies = toClientMessages(stmt.getThreadReplies.all({ rootId: root.id, limit: THREAD_MAX_MESSAGES }));
+    socket.emit('thread_messages', { chatId: root.chatId, root, replies });
+  });
+
+  // 5f) reactions; both events answer the room with the new totals
+  function changeReaction(eventName, messageId, emoji, apply) {
+    if (!requireAuth(eventName)) return;
+    if (typeof emoji !== 'string' || emoji.length > 16 || !EMOJI_PATTERN.test(emoji)) {
+      emitError(eventName, 'invalid_reaction');
       return;
     }
 
-    // check existing private chat
-    const exist = stmt.getPrivateChatBetween.get(currentUser.id, partnerId) || stmt.getPrivateChatBetween.get(partnerId, currentUser.id);
-    if (exist) {
-      socket.emit('open_chat_force', { id: exist.id, name: partner.username });
+    const msg = messageId && stmt.getMessageById.get(messageId);
+    if (!msg || msg.deletedAt || !stmt.isUserMemberOfChat.get(msg.chatId, currentUser.id)) {
+      emitError(eventName, 'message_not_found');
       return;
     }
 
-    // create private
-    const chatId = uuidv4();
-    const now = new Date().toISOString();
-    const tx = db.transaction(() => {
-      stmt.insertChat.run(chatId, 'private', partner.username, now);
-      stmt.insertMember.run(uuidv4(), chatId, currentUser.id);
-      stmt.insertMember.run(uuidv4(), chatId, partnerId);
+    if (apply(msg.id, emoji).changes === 0) return;
+
+    const reactions = aggregateReactions([msg.id]).get(msg.id);
+    io.to(msg.chatId).emit('reaction_updated', {
+      messageId: msg.id,
+      chatId: msg.chatId,
+      reactions: reactions ? [...reactions.values()] : []
     });
+  }
 
-    try {
-      tx();
-    } catch (e) {
-      socket.emit('create_chat_error', 'Не удалось создать чат');
+  socket.on('add_reaction', ({ messageId, emoji } = {}) => {
+    changeReaction('add_reaction', messageId, emoji, (id, e) => stmt.insertReaction.run(id, currentUser.id, e, new Date().toISOString()));
+  });
+
+  socket.on('remove_reaction', ({ messageId, emoji } = {}) => {
+    changeReaction('remove_reaction', messageId, emoji, (id, e) => stmt.deleteReaction.run(id, currentUser.id, e));
+  });
+
+  // 6) add member to group
+  socket.on('add_member_request', ({ chatId, username } = {}) => {
+    if (!requireAuth('add_member_request')) return;
+    if (!chatId || !username) return;
+    const result = addMember(currentUser, { chatId, username });
+    if (result.error) emitError('add_member_request', result.error, result.params);
+  });
+
+  // 6b) remove member
+  socket.on('remove_member', ({ chatId, userId } = {}) => {
+    if (!requireAuth('remove_member')) return;
+    const result = removeMember(currentUser, { chatId, userId });
+    if (result.error) emitError('remove_member', result.error, result.params);
+  });
+
+  // 6c) leave group
+  socket.on('leave_chat', ({ chatId } = {}) => {
+    if (!requireAuth('leave_chat')) return;
+    const result = leaveChat(currentUser, { chatId });
+    if (result.error) emitError('leave_chat', result.error, result.params);
+  });
+
+  // 6d) rename group
+  socket.on('rename_chat', ({ chatId, name } = {}) => {
+    if (!requireAuth('rename_chat')) return;
+    const result = renameChat(currentUser, { chatId, name });
+    if (result.error) emitError('rename_chat', result.error, result.params);
+  });
+
+  // 6e) promote to admin / demote to member
+  socket.on('promote_member', ({ chatId, userId, role } = {}) => {
+    if (!requireAuth('promote_member')) return;
+    const result = setMemberRole(currentUser, { chatId, userId, role });
+    if (result.error) emitError('promote_member', result.error, result.params);
+  });
+
+  // 6f) hand the group over
+  socket.on('transfer_ownership', ({ chatId, userId } = {}) => {
+    if (!requireAuth('transfer_ownership')) return;
+    const result = transferOwnership(currentUser, { chatId, userId });
+    if (result.error) emitError('transfer_ownership', result.error, result.params);
+  });
+
+  // 6g) invite links (admins create, list and revoke; anyone with the token joins)
+  socket.on('create_invite', ({ chatId, expiresInHours, maxUses } = {}) => {
+    if (!requireAuth('create_invite')) return;
+
+    const me = getGroupMembership(chatId, currentUser.id);
+    if (!me || ROLE_RANK[me.role] < ROLE_RANK.admin) {
+      emitError('create_invite', 'admin_only');
+      return;
+    }
+    const hours = expiresInHours == null ? null : Number(expiresInHours);
+    const uses = maxUses == null ? null : Number(maxUses);
+    if ((hours !== null && !(hours > 0 && hours <= INVITE_MAX_HOURS)) || (uses !== null && !(Number.isInteger(uses) && uses > 0 && uses <= INVITE_MAX_USES))) {
+      emitError('create_invite', 'invalid_invite_limits');
       return;
     }
 
-    // notify both users
-    [currentUser.id, partner.id].forEach(uid => sendUpdatedChatListToUser(uid));
-    socket.emit('open_chat_force', { id: chatId, name: partner.username });
+    const now = new Date();
+    const token = crypto.randomBytes(18).toString('base64url');
+    const expiresAt = hours === null ? null : new Date(now.getTime() + hours * 60 * 60 * 1000).toISOString();
+    stmt.insertInvite.run(token, chatId, currentUser.id, now.toISOString(), expiresAt, uses);
+    socket.emit('invite_created', { chatId, ...toClientInvite(stmt.getInviteById.get(token)) });
   });
 
-  // 4) join chat (get history)
-  socket.on('join_chat', (chatId) => {
-    if (!requireAuth('join_chat')) return;
-    if (!chatId) return;
+  socket.on('list_invites', ({ chatId } = {}) => {
+    if (!requireAuth('list_invites')) return;
+    const me = getGroupMembership(chatId, currentUser.id);
+    if (!me || ROLE_RANK[me.role] < ROLE_RANK.admin) return;
+    const invites = stmt.getActiveInvitesOfChat.all({ chatId, now: new Date().toISOString() });
+    socket.emit('invite_list', { chatId, invites: invites.map(toClientInvite) });
+  });
 
-    // check membership
-    const isMember = stmt.isUserMemberOfChat.get(chatId, currentUser.id);
-    if (!isMember) {
-      socket.emit('join_chat_error', 'Нет доступа к этому чату');
+  socket.on('revoke_invite', ({ token } = {}) => {
+    if (!requireAuth('revoke_invite')) return;
+    const invite = typeof token === 'string' ? stmt.getInviteById.get(token) : null;
+    const me = invite && getGroupMembership(invite.chatId, currentUser.id);
+    if (!me || ROLE_RANK[me.role] < ROLE_RANK.admin) {
+      emitError('revoke_invite', 'invite_not_found');
       return;
     }
+    stmt.revokeInvite.run(new Date().toISOString(), invite.id);
+    socket.emit('invite_revoked', { chatId: invite.chatId, token: invite.id });
+  });
 
-    socket.join(chatId);
-    const chat = stmt.getChatById.get(chatId);
-    if (!chat) {
-      socket.emit('join_chat_error', 'Чат не найден');
+  socket.on('join_by_invite', ({ token } = {}) => {
+    if (!requireAuth('join_by_invite')) return;
+    const result = joinByInvite(currentUser, token);
+    if (result.error) {
+      emitError('join_by_invite', result.error, result.params);
       return;
     }
-
-    // attach members and messages
-    chat.members = stmt.getChatMembers.all(chatId);
-    chat.messages = stmt.getMessagesOfChat.all(chatId);
-    socket.emit('chat_history', chat);
+    socket.emit('open_chat_force', { id: result.chat.id, name: result.chat.name });
   });
 
-  // 5) send message
-  socket.on('send_message', ({ chatId, text, fileData }) => {
-    if (!requireAuth('send_message')) return;
+  // 7) change retention policy of a chat
+  socket.on('set_retention', ({ chatId, mode, value } = {}) => {
+    if (!requireAuth('set_retention')) return;
     if (!chatId) return;
 
-    // must be a member
-    const isMember = stmt.isUserMemberOfChat.get(chatId, currentUser.id);
-    if (!isMember) {
-      socket.emit('send_message_error', 'Нет доступа к чату');
+    const chat = stmt.getChatById.get(chatId);
+    if (!chat || !canAdministerChat(chat, currentUser.id)) {
+      emitError('set_retention', 'admin_only');
       return;
     }
 
-    // Prepare message
-    const msg = {
-      id: uuidv4(),
-      chatId,
-      senderId: currentUser.id,
-      senderName: currentUser.username,
-      text: sanitizeText(text),
-      file: (fileData && typeof fileData === 'string') ? fileData.slice(0, 512) : null,
-      timestamp: new Date().toISOString()
-    };
+    const invalid = validateRetention(mode, value);
+    if (invalid) {
+      emitError('set_retention', invalid.error, invalid.params);
+      return;
+    }
 
+    const retentionValue = mode === 'forever' ? null : value;
+    let systemMsg;
     try {
       const tx = db.transaction(() => {
-        stmt.insertMessage.run(msg.id, msg.chatId, msg.senderId, msg.senderName, msg.text, msg.file, msg.timestamp);
-
-        // keep message count under limit
-        const cnt = stmt.countMessagesOfChat.get(chatId).cnt;
-        if (cnt > MESSAGE_LIMIT_PER_CHAT) {
-          const toDelete = Math.max(0, cnt - MESSAGE_LIMIT_PER_CHAT);
-          stmt.deleteOldestMessages.run(chatId, toDelete);
-        }
+        stmt.updateChatRetention.run(mode, retentionValue, chatId);
+        systemMsg = insertSystemMessage(chatId, {
+          code: `retention_${mode}`,
+          params: { user: currentUser.username, value: retentionValue }
+        });
       });
       tx();
     } catch (e) {
-      socket.emit('send_message_error', 'Не удалось сохранить сообщение');
+      emitError('set_retention', 'save_failed');
       return;
     }
 
-    // emit to chat room
-    io.to(chatId).emit('new_message', msg);
+    io.to(chatId).emit('new_message', systemMsg);
+    io.to(chatId).emit('retention_changed', { chatId, mode, value: retentionValue });
   });
 
-  // 6) add member to group
-  socket.on('add_member_request', ({ chatId, username }) => {
-    if (!requireAuth('add_member_request')) return;
-    if (!chatId || !username) return;
+  // 8) typing indicators, relayed to the rest of the chat room
+  function relayTyping(chatId, typing) {
+    if (!chatId || typeof chatId !== 'string') return;
+    if (!stmt.isUserMemberOfChat.get(chatId, currentUser.id)) return;
 
-    // ensure chat exists and is group
-    const chat = stmt.getChatById.get(chatId);
-    if (!chat || chat.type !== 'group') {
-      socket.emit('add_member_error', 'Группа не найдена или доступ запрещён.');
+    if (typing) {
+      const last = typingRelayedAt.get(chatId) || 0;
+      if (Date.now() - last < TYPING_THROTTLE_MS) return;
+      typingRelayedAt.set(chatId, Date.now());
+    } else {
+      if (!typingRelayedAt.has(chatId)) return;
+      typingRelayedAt.delete(chatId);
+    }
+
+    socket.to(chatId).emit('typing', { chatId, userId: currentUser.id, username: currentUser.username, typing });
+  }
+
+  socket.on('typing_start', ({ chatId } = {}) => {
+    if (!requireAuth('typing_start')) return;
+    relayTyping(chatId, true);
+  });
+
+  socket.on('typing_stop', ({ chatId } = {}) => {
+    if (!requireAuth('typing_stop')) return;
+    relayTyping(chatId, false);
+  });
+
+  // 9) blocking and privacy; every change answers with the full settings
+  function sendPrivacySettings() {
+    const user = stmt.getUserById.get(currentUser.id);
+    socket.emit('privacy_settings', {
+      privacy: user.privacy,
+      blocked: stmt.getBlockedUsers.all(currentUser.id)
+    });
+  }
+
+  socket.on('get_privacy_settings', () => {
+    if (!requireAuth('get_privacy_settings')) return;
+    sendPrivacySettings();
+  });
+
+  socket.on('set_privacy', ({ privacy } = {}) => {
+    if (!requireAuth('set_privacy')) return;
+    if (!PRIVACY_MODES.includes(privacy)) {
+      emitError('set_privacy', 'unknown_privacy');
       return;
     }
+    stmt.updateUserPrivacy.run(privacy, new Date().toISOString(), currentUser.id);
+    sendPrivacySettings();
+  });
 
-    // requester must be a member
-    const requesterIsMember = stmt.isUserMemberOfChat.get(chatId, currentUser.id);
-    if (!requesterIsMember) {
-      socket.emit('add_member_error', 'Вы не состоите в группе.');
+  socket.on('block_user', ({ userId } = {}) => {
+    if (!requireAuth('block_user')) return;
+    const target = typeof userId === 'string' ? stmt.getUserById.get(userId) : null;
+    if (!target || target.id === currentUser.id) {
+      emitError('block_user', 'user_not_found');
       return;
     }
+    stmt.insertBlock.run(currentUser.id, target.id, new Date().toISOString());
+    sendPrivacySettings();
+  });
 
-    // find user to add
-    username = sanitizeUsername(username);
-    const userToAdd = stmt.getUserByName.get(username);
-    if (!userToAdd) {
-      socket.emit('add_member_error', `Пользователь "${username}" не найден.`);
+  socket.on('unblock_user', ({ userId } = {}) => {
+    if (!requireAuth('unblock_user')) return;
+    if (typeof userId !== 'string') return;
+    stmt.deleteBlock.run(currentUser.id, userId);
+    sendPrivacySettings();
+  });
+
+  // 10) storage: own usage for everyone, the biggest uploaders for server admins
+  socket.on('get_storage_usage', () => {
+    if (!requireAuth('get_storage_usage')) return;
+    socket.emit('storage_usage', getStorageUsage(currentUser.id));
+  });
+
+  socket.on('get_storage_top', ({ limit } = {}) => {
+    if (!requireAuth('get_storage_top')) return;
+    if (!isServerAdmin(currentUser)) {
+      emitError('get_storage_top', 'server_admin_only');
       return;
     }
+    const n = Number.isInteger(limit) ? Math.min(Math.max(limit, 1), 100) : 20;
+    socket.emit('storage_top', stmt.getTopStorageUsers.all(n));
+  });
+
+  // 11) reports: members flag messages in groups, moderators work the queue
+  socket.on('report_message', ({ messageId, reason, comment } = {}) => {
+    if (!requireAuth('report_message')) return;
 
-    // check not already member
-    const already = stmt.isUserMemberOfChat.get(chatId, userToAdd.id);
-    if (already) {
-      socket.emit('add_member_error', `${username} уже в чате.`);
+    const msg = typeof messageId === 'string' ? stmt.getMessageById.get(messageId) : null;
+    const chat = msg && stmt.getChatById.get(msg.chatId);
+    if (!chat || !stmt.isUserMemberOfChat.get(chat.id, currentUser.id) || msg.deletedAt || msg.senderId === 'system') {
+      emitError('report_message', 'message_not_found');
+      return;
+    }
+    if (chat.type !== 'group') {
+      emitError('report_message', 'report_groups_only');
+      return;
+    }
+    if (msg.senderId === currentUser.id) {
+      emitError('report_message', 'report_own_message');
+      return;
+    }
+    if (!REPORT_REASONS.includes(reason)) {
+      emitError('report_message', 'report_reason_required');
+      return;
+    }
+    if (stmt.getReportOfReporter.get(msg.id, currentUser.id)) {
+      emitError('report_message', 'already_reported');
       return;
     }
 
-    // add member + system message
-    const systemMsg = {
+    const report = {
       id: uuidv4(),
-      chatId,
-      senderId: 'system',
-      senderName: 'Система',
-      text: `${currentUser.username} добавил ${userToAdd.username}`,
-      timestamp: new Date().toISOString()
+      messageId: msg.id,
+      chatId: chat.id,
+      senderId: msg.senderId,
+      reporterId: currentUser.id,
+      reason,
+      comment: typeof comment === 'string' && comment.trim() ? comment.trim().slice(0, REPORT_COMMENT_MAX) : null,
+      messageText: msg.text,
+      createdAt: new Date().toISOString()
     };
+    try {
+      stmt.insertReport.run(report);
+    } catch (e) {
+      emitError('report_message', 'save_failed');
+      return;
+    }
+    socket.emit('message_reported', { reportId: report.id, messageId: msg.id });
+    io.to(MODERATORS_ROOM).emit('moderation_queue_changed');
+  });
+
+  // the reporter's own reports with their outcome
+  socket.on('get_my_reports', () => {
+    if (!requireAuth('get_my_reports')) return;
+    socket.emit('my_reports', stmt.getReportsOfReporter.all(currentUser.id, MY_REPORTS_LIMIT));
+  });
+
+  function requireModerator(eventName) {
+    if (isModerator(currentUser.id)) return true;
+    emitError(eventName, 'moderator_only');
+    return false;
+  }
+
+  socket.on('get_moderation_queue', () => {
+    if (!requireAuth('get_moderation_queue') || !requireModerator('get_moderation_queue')) return;
+    socket.emit('moderation_queue', stmt.getOpenReportQueue.all(MODERATION_QUEUE_LIMIT));
+  });
+
+  socket.on('get_report_context', ({ messageId } = {}) => {
+    if (!requireAuth('get_report_context') || !requireModerator('get_report_context')) return;
+    const context = typeof messageId === 'string' ? getReportContext(messageId) : null;
+    if (!context) {
+      emitError('get_report_context', 'report_already_resolved');
+      return;
+    }
+    socket.emit('report_context', context);
+  });
+
+  // action: dismiss | delete | warn | ban; warn and ban delete the message as well
+  socket.on('resolve_report', ({ messageId, action, note } = {}) => {
+    if (!requireAuth('resolve_report') || !requireModerator('resolve_report')) return;
+    note = typeof note === 'string' && note.trim() ? note.trim().slice(0, REPORT_COMMENT_MAX) : null;
+    const failure = typeof messageId === 'string' ? resolveReports(currentUser, messageId, action, note) : fail(404, 'report_not_found');
+    if (failure) emitError('resolve_report', failure.error, failure.params);
+  });
+
+  // 12) bots: each user manages their own; a token is shown once, when issued
+  socket.on('create_bot', ({ username } = {}) => {
+    if (!requireAuth('create_bot')) return;
+    username = sanitizeUsername(username);
+    const invalid = validateUsername(username);
+    if (invalid) {
+      emitError('create_bot', invalid.error, invalid.params);
+      return;
+    }
+    if (stmt.getUserByName.get(username)) {
+      emitError('create_bot', 'username_taken');
+      return;
+    }
+    if (stmt.getBotsOfOwner.all(currentUser.id).length >= BOTS_PER_USER) {
+      emitError('create_bot', 'bot_limit', { max: BOTS_PER_USER });
+      return;
+    }
 
+    const id = uuidv4();
+    const now = new Date().toISOString();
+    const { token, tokenHash } = issueBotToken(id);
     try {
-      const tx = db.transaction(() => {
-        stmt.insertMember.run(uuidv4(), chatId, userToAdd.id);
-        stmt.insertMessage.run(systemMsg.id, systemMsg.chatId, systemMsg.senderId, systemMsg.senderName, systemMsg.text, null, systemMsg.timestamp);
-      });
-      tx();
+      db.transaction(() => {
+        // nobody knows this password, so the account cannot log in
+        stmt.insertUser.run(id, username, bcrypt.hashSync(crypto.randomBytes(32).toString('hex'), BCRYPT_ROUNDS), now, now);
+        stmt.insertBot.run({ userId: id, ownerId: currentUser.id, tokenHash, createdAt: now });
+      })();
     } catch (e) {
-      socket.emit('add_member_error', 'Ошибка при добавлении участника.');
+      emitError('create_bot', 'save_failed');
       return;
     }
+    socket.emit('bot_token', { botId: id, username, token });
+    socket.emit('bot_list', stmt.getBotsOfOwner.all(currentUser.id));
+  });
 
-    // notify chat + new user
-    io.to(chatId).emit('new_message', systemMsg);
-    io.to(userToAdd.id).emit('member_added', {
-      username: userToAdd.username,
-      chatName: chat.name,
-      targetId: userToAdd.id
-    });
+  socket.on('list_bots', () => {
+    if (!requireAuth('list_bots')) return;
+    socket.emit('bot_list', stmt.getBotsOfOwner.all(currentUser.id));
+  });
+
+  function getOwnBot(eventName, botId) {
+    const bot = typeof botId === 'string' ? stmt.getBot.get(botId) : null;
+    if (bot && bot.ownerId === currentUser.id) return bot;
+    emitError(eventName, 'bot_not_found');
+    return null;
+  }
+
+  socket.on('regenerate_bot_token', ({ botId } = {}) => {
+    if (!requireAuth('regenerate_bot_token')) return;
+    const bot = getOwnBot('regenerate_bot_token', botId);
+    if (!bot) return;
+    const { token, tokenHash } = issueBotToken(bot.userId);
+    stmt.updateBotToken.run(tokenHash, new Date().toISOString(), bot.userId);
+    socket.emit('bot_token', { botId: bot.userId, username: stmt.getUserById.get(bot.userId).username, token });
+    socket.emit('bot_list', stmt.getBotsOfOwner.all(currentUser.id));
+  });
+
+  socket.on('delete_bot', ({ botId } = {}) => {
+    if (!requireAuth('delete_bot')) return;
+    const bot = getOwnBot('delete_bot', botId);
+    if (!bot) return;
+    deleteBotAccount(bot.userId);
+    socket.emit('bot_list', stmt.getBotsOfOwner.all(currentUser.id));
+  });
+
+  // 13) outgoing webhooks of a group (admins); the secret is shown once, when created
+  function requireWebhookAdmin(eventName, chatId) {
+    const me = getGroupMembership(chatId, currentUser.id);
+    if (me && ROLE_RANK[me.role] >= ROLE_RANK.admin) return true;
+    emitError(eventName, 'admin_only');
+    return false;
+  }
+
+  function sendWebhookList(chatId) {
+    socket.emit('webhook_list', { chatId, webhooks: stmt.getWebhooksOfChat.all(chatId).map(toClientWebhook) });
+  }
+
+  socket.on('create_webhook', async ({ chatId, url } = {}) => {
+    if (!requireAuth('create_webhook') || !requireWebhookAdmin('create_webhook', chatId)) return;
+    const invalid = validateWebhookUrl(url) || await checkWebhookHost(url.trim());
+    if (invalid) {
+      emitError('create_webhook', invalid.error, invalid.params);
+      return;
+    }
+    if (stmt.getWebhooksOfChat.all(chatId).length >= WEBHOOKS_PER_CHAT) {
+      emitError('create_webhook', 'webhook_limit', { max: WEBHOOKS_PER_CHAT });
+      return;
+    }
+
+    const webhook = {
+      id: uuidv4(),
+      chatId,
+      url: url.trim(),
+      secret: crypto.randomBytes(24).toString('hex'),
+      createdBy: currentUser.id,
+      createdAt: new Date().toISOString()
+    };
+    stmt.insertWebhook.run(webhook);
+    socket.emit('webhook_created', { chatId, ...toClientWebhook(webhook), secret: webhook.secret });
+    sendWebhookList(chatId);
+  });
 
-    // update lists for all members (including new one)
-    const members = stmt.getChatMembers.all(chatId);
-    members.forEach(m => sendUpdatedChatListToUser(m.id));
+  socket.on('list_webhooks', ({ chatId } = {}) => {
+    if (!requireAuth('list_webhooks') || !requireWebhookAdmin('list_webhooks', chatId)) return;
+    sendWebhookList(chatId);
+  });
+
+  socket.on('delete_webhook', ({ id } = {}) => {
+    if (!requireAuth('delete_webhook')) return;
+    const webhook = typeof id === 'string' ? stmt.getWebhookById.get(id) : null;
+    if (!webhook) {
+      emitError('delete_webhook', 'webhook_not_found');
+      return;
+    }
+    if (!requireWebhookAdmin('delete_webhook', webhook.chatId)) return;
+    db.transaction(() => {
+      stmt.deleteDeliveriesOfWebhook.run(webhook.id);
+      stmt.deleteWebhook.run(webhook.id);
+    })();
+    sendWebhookList(webhook.chatId);
   });
 
   // request chat list
@@ -461,15 +2796,119 @@ io.on('connection', (socket) => {
     sendUpdatedChatListToUser(currentUser.id);
   });
 
-  // handle disconnect
+  // handle disconnect: socket.io has already removed the socket from its rooms
   socket.on('disconnect', () => {
-    // nothing special required; socket.io cleans up rooms automatically
+    if (!currentUser) return;
+    stmt.deleteConnection.run(socket.id);
+    typingRelayedAt.forEach((_, chatId) => {
+      socket.to(chatId).emit('typing', { chatId, userId: currentUser.id, username: currentUser.username, typing: false });
+    });
+
+    if (!isUserOnline(currentUser.id)) {
+      stmt.updateLastSeen.run(new Date().toISOString(), currentUser.id);
+      broadcastPresence(currentUser.id);
+    }
   });
 });
 
+/* --------------------------
+   Admin actions
+   -------------------------- */
+
+// admin.js works on the database directly and records every action in audit_log;
+// the server follows the log and applies what affects connected clients. Every instance
+// follows it, so each one only acts on its own sockets (io.local)
+let lastAuditId = stmt.getLastAuditId.get().id;
+
+function logAdminAction(actor, action, targetType, targetId, details = null) {
+  stmt.insertAuditEntry.run({
+    actor,
+    action,
+    targetType,
+    targetId,
+    details: details && JSON.stringify(details),
+    createdAt: new Date().toISOString()
+  });
+}
+
+function applyAuditEntry(entry) {
+  const details = entry.details ? JSON.parse(entry.details) : {};
+  const local = io.local;
+  switch (entry.action) {
+    case 'user.ban':
+      local.to(entry.targetId).emit('banned', { reason: details.reason || null });
+      local.in(entry.targetId).disconnectSockets(true);
+      break;
+    case 'user.role': {
+      const moderator = isModerator(entry.targetId);
+      if (moderator) local.in(entry.targetId).socketsJoin(MODERATORS_ROOM);
+      else local.in(entry.targetId).socketsLeave(MODERATORS_ROOM);
+      local.to(entry.targetId).emit('moderator_status', { isModerator: moderator });
+      break;
+    }
+    case 'user.delete':
+    case 'user.reset_password':
+      local.to(entry.targetId).emit('logged_out');
+      local.in(entry.targetId).disconnectSockets(true);
+      (details.chatIds || []).forEach(chatId => {
+        const members = getChatMembersWithPresence(chatId);
+        local.to(chatId).emit('members_updated', { chatId, members });
+        members.forEach(m => local.to(m.id).emit('update_chat_list', getChatList(m.id)));
+      });
+      break;
+    case 'chat.delete':
+      (details.memberIds || []).forEach(userId => {
+        local.in(userId).socketsLeave(entry.targetId);
+        local.to(userId).emit('removed_from_chat', { chatId: entry.targetId, chatName: details.name || null });
+        local.to(userId).emit('update_chat_list', getChatList(userId));
+      });
+      break;
+    case 'message.delete': {
+      const tombstone = getClientMessage(entry.targetId);
+      if (tombstone) local.to(tombstone.chatId).emit('message_deleted', { id: tombstone.id, chatId: tombstone.chatId, deletedAt: tombstone.deletedAt });
+      break;
+    }
+  }
+}
+
+function followAuditLog() {
+  stmt.getAuditEntriesAfter.all(lastAuditId).forEach(entry => {
+    lastAuditId = entry.id;
+    try {
+      applyAuditEntry(entry);
+    } catch (e) {
+      console.error('Failed to apply admin action', entry.id, e.message);
+    }
+  });
+}
+setInterval(followAuditLog, AUDIT_POLL_MS).unref();
+
 /* --------------------------
    Start
    -------------------------- */
-server.listen(PORT, () => {
-  console.log(`Server started on http://localhost:${PORT}`);
-});
\ No newline at end of file
+// instances share DB_FILE and UPLOAD_DIR only on one host, see db.js
+const otherHosts = stmt.getLiveInstancesOfOtherHosts.all(HOST_ID, new Date(Date.now() - INSTANCE_TIMEOUT_MS).toISOString());
+if (otherHosts.length) {
+  console.error(`Refusing to start: instance ${otherHosts[0].id} on another host (${otherHosts[0].hostId}) uses the same database; run every instance on one host`);
+  process.exit(1);
+}
+heartbeatInstance();
+setInterval(heartbeatInstance, INSTANCE_HEARTBEAT_MS).unref();
+
+setupAdapter(io)
+  .then(adapter => server.listen(PORT, () => {
+    console.log(`Server started on http://localhost:${PORT} (instance ${INSTANCE_ID}, ${adapter} adapter)`);
+  }))
+  .catch(err => {
+    console.error('Failed to set up the socket adapter', err.message);
+    process.exit(1);
+  });
+
+sweepRetention();
+setInterval(sweepRetention, RETENTION_SWEEP_INTERVAL_MS).unref();
+
+const runStorageGarbage = () => collectStorageGarbage().catch(err => console.error('Storage GC failed', err.message));
+runStorageGarbage();
+setInterval(runStorageGarbage, STORAGE_GC_INTERVAL_MS).unref();
+
+setInterval(runWebhookDeliveries, WEBHOOK_POLL_MS).unref();
\ No newline at end of file
@@ -0,0 +1,223 @@
+// webhook-check.js
+// a local webhook receiver. `node webhook-check.js` starts a server instance on a throwaway database
+// next to a receiver and checks signing, retries and the private address guard (takes about 20 s).
+// `WEBHOOK_SECRET=... node webhook-check.js serve [port]` only runs the receiver, for a server started
+// with WEBHOOK_ALLOW_PRIVATE=1; FAIL_FIRST=n answers 500 to the first n tries of each delivery.
+// Needs socket.io-client next to the server's own dependencies
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const crypto = require('crypto');
+const { spawn } = require('child_process');
+
+const SERVER_PORT = Number(process.env.WEBHOOK_CHECK_PORT) || 3201;
+const RECEIVER_PORT = SERVER_PORT + 2;
+const START_TIMEOUT_MS = 15 * 1000;
+const EVENT_TIMEOUT_MS = 5000;
+const RETRY_TIMEOUT_MS = 20 * 1000; // the server waits 10 s before the first retry
+const TIMESTAMP_TOLERANCE_S = 5 * 60;
+
+/* --------------------------
+   Receiver
+   -------------------------- */
+
+// what a receiver should do before trusting a delivery
+function verify(req, body, secret) {
+  const timestamp = req.headers['x-webhook-timestamp'];
+  const signature = String(req.headers['x-webhook-signature'] || '');
+  if (!timestamp || Math.abs(Date.now() / 1000 - Number(timestamp)) > TIMESTAMP_TOLERANCE_S) return 'stale timestamp';
+  const expected = 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  if (signature.length !== expected.length || !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+    return 'bad signature';
+  }
+  return null;
+}
+
+// `getSecret(webhookId)` for the signature; `onDelivery` sees every try and returns the status to answer
+function startReceiver(port, getSecret, onDelivery) {
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.setEncoding('utf8');
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const delivery = {
+        id: req.headers['x-webhook-delivery'],
+        webhookId: req.headers['x-webhook-id'],
+        problem: verify(req, body, getSecret(req.headers['x-webhook-id']) || ''),
+        payload: null
+      };
+      try { delivery.payload = JSON.parse(body); } catch (e) { delivery.problem = delivery.problem || 'invalid JSON'; }
+      res.writeHead(onDelivery(delivery)).end();
+    });
+  });
+  return new Promise(resolve => server.listen(port, () => resolve(server)));
+}
+
+function serve() {
+  const port = Number(process.argv[3]) || 4000;
+  const failFirst = Number(process.env.FAIL_FIRST) || 0;
+  const tries = new Map();
+  startReceiver(port, () => process.env.WEBHOOK_SECRET, delivery => {
+    const n = (tries.get(delivery.id) || 0) + 1;
+    tries.set(delivery.id, n);
+    const status = delivery.problem ? 401 : n <= failFirst ? 500 : 200;
+    const text = delivery.payload && delivery.payload.message ? JSON.stringify(delivery.payload.message.text) : '';
+    console.log(`${new Date().toISOString()} delivery ${delivery.id} try ${n}: ${delivery.problem || 'signed'} -> ${status} ${text}`);
+    return status;
+  }).then(() => console.log(`receiving webhooks on http://127.0.0.1:${port}/`));
+}
+
+/* --------------------------
+   Check
+   -------------------------- */
+
+let dataDir = null;
+const instances = [];
+const sockets = [];
+
+function startInstance(port, env) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [path.join(__dirname, 'server.js')], {
+      cwd: __dirname,
+      env: {
+        ...process.env,
+        ...env,
+        PORT: String(port),
+        DB_FILE: path.join(dataDir, 'db.sqlite'),
+        UPLOAD_DIR: path.join(dataDir, 'uploads')
+      },
+      stdio: ['ignore', 'pipe', 'inherit']
+    });
+    instances.push(child);
+    const timer = setTimeout(() => reject(new Error(`instance on port ${port} did not start`)), START_TIMEOUT_MS);
+    child.stdout.on('data', chunk => {
+      if (!chunk.toString().includes('Server started')) return;
+      clearTimeout(timer);
+      resolve();
+    });
+    child.on('exit', code => reject(new Error(`instance on port ${port} exited with ${code}`)));
+  });
+}
+
+// the next `event` whose data passes `test`
+function once(emitter, event, test = () => true, timeoutMs = EVENT_TIMEOUT_MS) {
+  return new Promise((resolve, reject) => {
+    const listener = data => {
+      if (!test(data)) return;
+      clearTimeout(timer);
+      emitter.off(event, listener);
+      resolve(data);
+    };
+    const timer = setTimeout(() => {
+      emitter.off(event, listener);
+      reject(new Error(`no matching "${event}" within ${timeoutMs} ms`));
+    }, timeoutMs);
+    emitter.on(event, listener);
+  });
+}
+
+async function login(port, username, event) {
+  const { io } = require('socket.io-client');
+  const socket = io(`http://localhost:${port}`, { transports: ['websocket'], forceNew: true });
+  sockets.push(socket);
+  await once(socket, 'connect');
+  socket.emit(event, { username, password: 'webhook-check-1' });
+  socket.user = await once(socket, 'login_success');
+  return socket;
+}
+
+async function check(name, run) {
+  try {
+    await run();
+    console.log(`ok    ${name}`);
+    return true;
+  } catch (e) {
+    console.log(`FAIL  ${name}: ${e.message}`);
+    return false;
+  }
+}
+
+async function main() {
+  const { EventEmitter } = require('events');
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'chat-webhooks-'));
+  const deliveries = new EventEmitter();
+  const secrets = new Map();
+  const tries = new Map();
+  const receiver = await startReceiver(RECEIVER_PORT, id => secrets.get(id), delivery => {
+    const n = (tries.get(delivery.id) || 0) + 1;
+    tries.set(delivery.id, n);
+    deliveries.emit('delivery', { ...delivery, try: n });
+    return n === 1 ? 500 : 200; // every delivery fails once
+  });
+
+  try {
+    // the second instance keeps the default guard
+    await startInstance(SERVER_PORT, { WEBHOOK_ALLOW_PRIVATE: '1' });
+    await startInstance(SERVER_PORT + 1, { WEBHOOK_ALLOW_PRIVATE: '' });
+    console.log(`server on port ${SERVER_PORT}, receiver on port ${RECEIVER_PORT}, data in ${dataDir}`);
+
+    const alice = await login(SERVER_PORT, 'alice', 'register');
+    alice.emit('create_chat', { isGroup: true, groupName: 'webhooks' });
+    const chatId = (await once(alice, 'open_chat_force')).id;
+    alice.emit('join_chat', chatId);
+    await once(alice, 'chat_history');
+    const results = [];
+
+    results.push(await check('a webhook to a private address is refused by default', async () => {
+      const guarded = await login(SERVER_PORT + 1, 'alice', 'login');
+      // create_webhook allows three at once
+      for (const url of ['http://[::1]:8080/', 'http://169.254.169.254/', 'http://localhost/']) {
+        const refused = once(guarded, 'error', e => e.event === 'create_webhook');
+        guarded.emit('create_webhook', { chatId, url });
+        const { code } = await refused;
+        if (code !== 'webhook_url_private') throw new Error(`${url} answered ${code}`);
+      }
+    }));
+
+    let first = null;
+    results.push(await check('a delivery is signed with the webhook secret', async () => {
+      const created = once(alice, 'webhook_created');
+      alice.emit('create_webhook', { chatId, url: `http://127.0.0.1:${RECEIVER_PORT}/hook` });
+      const webhook = await created;
+      secrets.set(webhook.id, webhook.secret);
+
+      const delivered = once(deliveries, 'delivery');
+      alice.emit('send_message', { chatId, text: 'hello, webhook' });
+      first = await delivered;
+      if (first.problem) throw new Error(first.problem);
+      if (first.payload.message.text !== 'hello, webhook') throw new Error(`got "${first.payload.message.text}"`);
+    }));
+
+    results.push(await check('a failed delivery is retried with the same id', async () => {
+      if (!first) throw new Error('nothing was delivered');
+      const retry = await once(deliveries, 'delivery', d => d.id === first.id, RETRY_TIMEOUT_MS);
+      if (retry.problem) throw new Error(retry.problem);
+      if (retry.try !== 2) throw new Error(`try ${retry.try}`);
+    }));
+
+    return results.every(Boolean);
+  } finally {
+    sockets.forEach(socket => socket.disconnect());
+    receiver.close();
+    receiver.closeAllConnections();
+  }
+}
+
+if (process.argv[2] === 'serve') {
+  serve();
+} else {
+  main()
+    .then(passed => {
+      console.log(passed ? 'all checks passed' : 'some checks failed');
+      process.exitCode = passed ? 0 : 1;
+    })
+    .catch(err => {
+      console.error(err.message);
+      process.exitCode = 1;
+    })
+    .finally(() => {
+      instances.forEach(child => child.kill());
+      if (dataDir) fs.rmSync(dataDir, { recursive: true, force: true });
+    });
+}